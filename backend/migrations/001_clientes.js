@@ -0,0 +1,50 @@
+import { addColumn, addIndex, hasUniqueOn } from "../src/migrate.js";
+
+/**
+ * Tabela principal, gravada pela sincronização (upsert por id_odoo).
+ * Em bancos antigos a tabela já existe: completa as colunas e a chave única.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS clientes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      id_odoo INT NOT NULL,
+      nome VARCHAR(255) NOT NULL,
+      telefone VARCHAR(50) NULL,
+      celular VARCHAR(50) NULL,
+      email VARCHAR(255) NULL,
+      site VARCHAR(255) NULL,
+      logradouro VARCHAR(255) NULL,
+      numero VARCHAR(50) NULL,
+      complemento VARCHAR(255) NULL,
+      bairro VARCHAR(255) NULL,
+      cidade VARCHAR(255) NULL,
+      estado VARCHAR(2) NULL,
+      cep VARCHAR(8) NULL,
+      pais VARCHAR(100) NULL,
+      endereco_completo VARCHAR(512) NULL,
+      latitude DECIMAL(10,7) NULL,
+      longitude DECIMAL(10,7) NULL,
+      localizacao_manual TINYINT(1) NOT NULL DEFAULT 0,
+      localizacao_manual_em DATETIME NULL,
+      match_score DECIMAL(4,3) NULL,
+      match_metodo VARCHAR(20) NULL,
+      UNIQUE KEY uk_id_odoo (id_odoo),
+      KEY idx_estado_cidade (estado, cidade),
+      KEY idx_lat_lng (latitude, longitude)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // colunas que antes eram criadas sob demanda (localizacao.js / sync.js)
+  await addColumn(conn, "clientes", "localizacao_manual", "TINYINT(1) NOT NULL DEFAULT 0");
+  await addColumn(conn, "clientes", "localizacao_manual_em", "DATETIME NULL");
+  await addColumn(conn, "clientes", "match_score", "DECIMAL(4,3) NULL");
+  await addColumn(conn, "clientes", "match_metodo", "VARCHAR(20) NULL");
+
+  // o ON DUPLICATE KEY UPDATE da sincronização depende desta chave
+  if (!(await hasUniqueOn(conn, "clientes", "id_odoo"))) {
+    await addIndex(conn, "clientes", "uk_id_odoo", "UNIQUE KEY uk_id_odoo (id_odoo)");
+  }
+  await addIndex(conn, "clientes", "idx_estado_cidade", "KEY idx_estado_cidade (estado, cidade)");
+  await addIndex(conn, "clientes", "idx_lat_lng", "KEY idx_lat_lng (latitude, longitude)");
+}
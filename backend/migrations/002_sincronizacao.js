@@ -0,0 +1,85 @@
+import { addColumn } from "../src/migrate.js";
+
+/**
+ * Estado da sincronização: cursor/pausa, histórico de execuções, linhas da
+ * planilha já processadas, uploads de planilha e cache de geocoding.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      id INT PRIMARY KEY,
+      last_odoo_id INT NULL,
+      last_entry_name VARCHAR(255) NULL,
+      paused_since DATETIME NULL,
+      paused_reason VARCHAR(255) NULL,
+      last_sync_at DATETIME NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await addColumn(conn, "sync_state", "paused_since", "DATETIME NULL");
+  await addColumn(conn, "sync_state", "paused_reason", "VARCHAR(255) NULL");
+  await addColumn(conn, "sync_state", "last_sync_at", "DATETIME NULL");
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      gatilho VARCHAR(30) NOT NULL,
+      modo VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'em_andamento',
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME NULL,
+      total INT NOT NULL DEFAULT 0,
+      posicao INT NOT NULL DEFAULT 0,
+      processados INT NOT NULL DEFAULT 0,
+      geocodificados INT NOT NULL DEFAULT 0,
+      falhas INT NOT NULL DEFAULT 0,
+      nao_encontrados INT NOT NULL DEFAULT 0,
+      pause_reason VARCHAR(255) NULL,
+      erro TEXT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_started_at (started_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS planilha_linhas (
+      nome VARCHAR(255) NOT NULL PRIMARY KEY,
+      hash CHAR(40) NOT NULL,
+      id_odoo INT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS planilhas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      arquivo VARCHAR(255) NOT NULL,
+      nome_original VARCHAR(255) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+      linhas INT NULL,
+      clientes INT NULL,
+      preview MEDIUMTEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ativada_em DATETIME NULL,
+      KEY idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS geocode_cache (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cache_key CHAR(40) NOT NULL,
+      endereco_normalizado VARCHAR(512) NOT NULL,
+      cep VARCHAR(8) NULL,
+      latitude DECIMAL(10,7) NOT NULL,
+      longitude DECIMAL(10,7) NOT NULL,
+      normalized TEXT NULL,
+      provider VARCHAR(50) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_cache_key (cache_key),
+      KEY idx_cep (cep)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
@@ -0,0 +1,42 @@
+/**
+ * Fila de revisão de nomes da planilha sem parceiro no Odoo e vínculos
+ * manuais (nome da planilha → parceiro), além dos pares de possíveis
+ * duplicatas de endereço.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS planilha_nao_encontrados (
+      nome VARCHAR(255) NOT NULL PRIMARY KEY,
+      status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+      motivo VARCHAR(30) NOT NULL DEFAULT 'nao_encontrado',
+      id_odoo INT NULL,
+      primeira_vez DATETIME NOT NULL,
+      ultima_vez DATETIME NOT NULL,
+      KEY idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS cliente_aliases (
+      nome_planilha VARCHAR(255) NOT NULL PRIMARY KEY,
+      id_odoo INT NOT NULL,
+      criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_id_odoo (id_odoo)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS clientes_duplicados (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_a INT NOT NULL,
+      cliente_b INT NOT NULL,
+      motivos VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+      detectado_em DATETIME NOT NULL,
+      resolvido_em DATETIME NULL,
+      UNIQUE KEY par (cliente_a, cliente_b),
+      KEY idx_cliente_b (cliente_b),
+      KEY idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
@@ -0,0 +1,63 @@
+import { addColumn } from "../src/migrate.js";
+
+/**
+ * Equipamentos por cliente e o catálogo que unifica os nomes (aliases e fila
+ * de nomes desconhecidos). origem/pedido_* vêm dos pedidos do Odoo.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS equipamentos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      nome VARCHAR(255) NOT NULL,
+      quantidade INT DEFAULT NULL,
+      catalogo_id INT NULL,
+      nome_original VARCHAR(255) NULL,
+      origem VARCHAR(20) NULL,
+      pedido_ref VARCHAR(64) NULL,
+      pedido_data DATETIME NULL,
+      UNIQUE KEY cliente_equip (cliente_id, nome)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await addColumn(conn, "equipamentos", "catalogo_id", "INT NULL");
+  await addColumn(conn, "equipamentos", "nome_original", "VARCHAR(255) NULL");
+  await addColumn(conn, "equipamentos", "origem", "VARCHAR(20) NULL");
+  await addColumn(conn, "equipamentos", "pedido_ref", "VARCHAR(64) NULL");
+  await addColumn(conn, "equipamentos", "pedido_data", "DATETIME NULL");
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS equipamento_catalogo (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      nome VARCHAR(255) NOT NULL,
+      codigo VARCHAR(64) NULL,
+      categoria VARCHAR(100) NULL,
+      criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_nome (nome),
+      UNIQUE KEY uk_codigo (codigo)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS equipamento_aliases (
+      alias_normalizado VARCHAR(255) NOT NULL PRIMARY KEY,
+      alias VARCHAR(255) NOT NULL,
+      catalogo_id INT NOT NULL,
+      KEY idx_catalogo (catalogo_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS equipamento_desconhecidos (
+      nome_normalizado VARCHAR(255) NOT NULL PRIMARY KEY,
+      nome VARCHAR(255) NOT NULL,
+      ocorrencias INT NOT NULL DEFAULT 1,
+      status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+      catalogo_id INT NULL,
+      primeira_vez DATETIME NOT NULL,
+      ultima_vez DATETIME NOT NULL,
+      KEY idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
@@ -0,0 +1,29 @@
+/**
+ * Login: usuários (senha com scrypt) e sessões (só o sha256 do token).
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS usuarios (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      nome VARCHAR(255) NULL,
+      senha_hash VARCHAR(255) NOT NULL,
+      papel VARCHAR(20) NOT NULL DEFAULT 'viewer',
+      ativo TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ultimo_login DATETIME NULL,
+      UNIQUE KEY uk_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS sessoes (
+      token_hash CHAR(64) NOT NULL PRIMARY KEY,
+      usuario_id INT NOT NULL,
+      criado_em DATETIME NOT NULL,
+      expira_em DATETIME NOT NULL,
+      KEY idx_usuario (usuario_id),
+      KEY idx_expira (expira_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
@@ -0,0 +1,37 @@
+/**
+ * Fotos dos clientes (arquivos em uploads/fotos) e registro de visitas/notas.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS fotos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      arquivo VARCHAR(100) NOT NULL,
+      nome_original VARCHAR(255) NULL,
+      legenda VARCHAR(255) NULL,
+      largura INT NULL,
+      altura INT NULL,
+      bytes INT NULL,
+      enviado_por INT NULL,
+      criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_cliente (cliente_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS visitas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      data DATETIME NOT NULL,
+      tipo VARCHAR(20) NOT NULL DEFAULT 'visita',
+      nota TEXT NULL,
+      autor_id INT NULL,
+      autor_nome VARCHAR(255) NULL,
+      checkin_lat DECIMAL(10,7) NULL,
+      checkin_lng DECIMAL(10,7) NULL,
+      checkin_distancia_m INT NULL,
+      criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_cliente_data (cliente_id, data)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
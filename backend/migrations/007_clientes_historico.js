@@ -0,0 +1,21 @@
+/**
+ * Histórico de alterações dos clientes: um registro por campo alterado, com
+ * a execução da sincronização ou o usuário responsável.
+ */
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS clientes_historico (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      campo VARCHAR(50) NOT NULL,
+      valor_antigo TEXT NULL,
+      valor_novo TEXT NULL,
+      origem VARCHAR(20) NOT NULL,
+      sync_run_id INT NULL,
+      usuario_id INT NULL,
+      usuario_nome VARCHAR(255) NULL,
+      alterado_em DATETIME NOT NULL,
+      KEY idx_cliente_data (cliente_id, alterado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
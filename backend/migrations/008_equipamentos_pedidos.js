@@ -0,0 +1,10 @@
+import { addColumn } from "../src/migrate.js";
+
+/**
+ * Todos os pedidos do Odoo que somaram na quantidade de cada equipamento
+ * (JSON: [{ ref, data, quantidade }]); pedido_ref/pedido_data seguem com o
+ * mais recente.
+ */
+export async function up(conn) {
+  await addColumn(conn, "equipamentos", "pedidos", "TEXT NULL");
+}
@@ -0,0 +1,284 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import db from "./db.js";
+import { runMigrations } from "./migrate.js";
+
+/** =======================
+ * Autenticação e papéis
+ * -----------------------
+ * - usuarios: login por email, senha com scrypt (salt por usuário)
+ * - sessoes: token aleatório no cookie; no banco fica só o sha256 do token
+ *
+ * Papéis (cada um inclui o anterior):
+ * - viewer: mapa e consultas
+ * - admin: sincronização, planilhas, correções e usuários
+ *
+ * Primeiro acesso: com ADMIN_EMAIL/ADMIN_PASSWORD no .env, o admin é criado
+ * se ainda não houver nenhum usuário. Também dá para criar pela linha de
+ * comando: npm run usuario -- email senha [papel] [nome]
+ * ======================= */
+export const PAPEIS = ["viewer", "admin"];
+
+export const SESSION_COOKIE = "mapa_sessao";
+const SESSION_DAYS = Number(process.env.SESSION_DAYS) || 7;
+const MIN_SENHA = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEYLEN = 64;
+
+function authError(message) {
+  const err = new Error(message);
+  err.name = "AuthError";
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// formato: scrypt$<salt hex>$<hash hex>
+async function hashPassword(senha) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(senha), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(senha, stored) {
+  const [algo, saltHex, hashHex] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const hash = await scrypt(String(senha), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+function publicUser(u) {
+  return {
+    id: u.id,
+    email: u.email,
+    nome: u.nome,
+    papel: u.papel,
+    ativo: Number(u.ativo) === 1,
+    ultimo_login: u.ultimo_login || null,
+  };
+}
+
+function validarPapel(papel) {
+  if (!PAPEIS.includes(papel)) throw authError(`Papel inválido (use: ${PAPEIS.join(", ")})`);
+}
+
+function validarSenha(senha) {
+  if (String(senha || "").length < MIN_SENHA) {
+    throw authError(`A senha precisa ter pelo menos ${MIN_SENHA} caracteres`);
+  }
+}
+
+/**
+ * Cria um usuário. Lança AuthError para dados inválidos ou email repetido.
+ */
+export async function createUser({ email, senha, papel = "viewer", nome = null }) {
+  const emailNorm = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+$/.test(emailNorm)) throw authError("Email inválido");
+  validarSenha(senha);
+  validarPapel(papel);
+
+  try {
+    const [res] = await db.query(
+      `INSERT INTO usuarios (email, nome, senha_hash, papel) VALUES (?, ?, ?, ?)`,
+      [emailNorm, nome || null, await hashPassword(senha), papel]
+    );
+    return { id: res.insertId, email: emailNorm, nome: nome || null, papel, ativo: true, ultimo_login: null };
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw authError("Já existe um usuário com esse email");
+    throw err;
+  }
+}
+
+export async function listUsers() {
+  const [rows] = await db.query(`SELECT * FROM usuarios ORDER BY email`);
+  return rows.map(publicUser);
+}
+
+/**
+ * Altera papel, nome, ativo e/ou senha. Desativar ou trocar a senha encerra
+ * as sessões abertas do usuário. Retorna o usuário ou null se não existir.
+ */
+export async function updateUser(id, { papel, nome, ativo, senha } = {}) {
+  const sets = [];
+  const params = [];
+  if (papel !== undefined) {
+    validarPapel(papel);
+    sets.push("papel = ?");
+    params.push(papel);
+  }
+  if (nome !== undefined) {
+    sets.push("nome = ?");
+    params.push(nome || null);
+  }
+  if (ativo !== undefined) {
+    sets.push("ativo = ?");
+    params.push(ativo ? 1 : 0);
+  }
+  if (senha !== undefined) {
+    validarSenha(senha);
+    sets.push("senha_hash = ?");
+    params.push(await hashPassword(senha));
+  }
+  if (!sets.length) throw authError("Nada para alterar");
+
+  const [res] = await db.query(`UPDATE usuarios SET ${sets.join(", ")} WHERE id = ?`, [...params, id]);
+  if (!res.affectedRows) return null;
+
+  if (ativo === false || senha !== undefined) {
+    await db.query(`DELETE FROM sessoes WHERE usuario_id = ?`, [id]);
+  }
+
+  const [rows] = await db.query(`SELECT * FROM usuarios WHERE id = ?`, [id]);
+  return rows[0] ? publicUser(rows[0]) : null;
+}
+
+/**
+ * Confere email/senha e abre uma sessão. Retorna { token, expira_em, usuario }
+ * ou null se as credenciais não baterem.
+ */
+export async function login(email, senha) {
+  const [rows] = await db.query(`SELECT * FROM usuarios WHERE email = ? AND ativo = 1`, [normalizeEmail(email)]);
+  const usuario = rows[0];
+  if (!usuario || !(await verifyPassword(senha, usuario.senha_hash))) return null;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiraEm = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO sessoes (token_hash, usuario_id, criado_em, expira_em) VALUES (?, ?, NOW(), ?)`,
+    [hashToken(token), usuario.id, expiraEm]
+  );
+  await db.query(`UPDATE usuarios SET ultimo_login = NOW() WHERE id = ?`, [usuario.id]);
+  await db.query(`DELETE FROM sessoes WHERE expira_em < NOW()`);
+
+  return { token, expira_em: expiraEm, usuario: publicUser(usuario) };
+}
+
+export async function logout(token) {
+  if (!token) return;
+  await db.query(`DELETE FROM sessoes WHERE token_hash = ?`, [hashToken(token)]);
+}
+
+/**
+ * Usuário dono de uma sessão válida, ou null.
+ */
+export async function getSessionUser(token) {
+  if (!token) return null;
+
+  const [rows] = await db.query(
+    `SELECT u.*
+     FROM sessoes s
+     JOIN usuarios u ON u.id = s.usuario_id
+     WHERE s.token_hash = ? AND s.expira_em > NOW() AND u.ativo = 1`,
+    [hashToken(token)]
+  );
+  return rows[0] ? publicUser(rows[0]) : null;
+}
+
+/**
+ * Cria o admin do .env (ADMIN_EMAIL/ADMIN_PASSWORD) se a tabela estiver vazia.
+ */
+export async function ensureBootstrapAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM usuarios`);
+  if (total > 0) return;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn("⚠️ Nenhum usuário cadastrado: defina ADMIN_EMAIL/ADMIN_PASSWORD ou use `npm run usuario`.");
+    return;
+  }
+
+  await createUser({ email: ADMIN_EMAIL, senha: ADMIN_PASSWORD, papel: "admin", nome: "Administrador" });
+  console.log(`👤 Admin inicial criado: ${normalizeEmail(ADMIN_EMAIL)}`);
+}
+
+/* ======================================================
+   MIDDLEWARES
+====================================================== */
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) return decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return null;
+}
+
+export function sessionToken(req) {
+  return readCookie(req, SESSION_COOKIE);
+}
+
+// cookie só por HTTPS, a menos que COOKIE_SECURE=false (desenvolvimento local em http)
+const COOKIE_SECURE = String(process.env.COOKIE_SECURE ?? "").trim().toLowerCase() !== "false";
+
+export function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: COOKIE_SECURE,
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000,
+    path: "/",
+  };
+}
+
+/**
+ * Preenche req.usuario (ou null) a partir do cookie de sessão.
+ */
+export async function loadSession(req, res, next) {
+  try {
+    req.usuario = await getSessionUser(sessionToken(req));
+  } catch (err) {
+    console.error("Erro ao validar sessão:", err.message || err);
+    req.usuario = null;
+  }
+  next();
+}
+
+/**
+ * Exige sessão com pelo menos o papel informado: 401 sem login, 403 sem permissão.
+ */
+export function requireRole(papel) {
+  const minimo = PAPEIS.indexOf(papel);
+
+  return (req, res, next) => {
+    if (!req.usuario) return res.status(401).json({ error: "Faça login para continuar" });
+    if (PAPEIS.indexOf(req.usuario.papel) < minimo) {
+      return res.status(403).json({ error: "Sem permissão para esta ação" });
+    }
+    next();
+  };
+}
+
+/* ======================================================
+   EXECUÇÃO DIRETA: criar usuário
+====================================================== */
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const [email, senha, papel = "viewer", nome = null] = process.argv.slice(2);
+
+  if (!email || !senha) {
+    console.log("Uso: npm run usuario -- email senha [viewer|admin] [nome]");
+    process.exit(1);
+  }
+
+  runMigrations()
+    .then(() => createUser({ email, senha, papel, nome }))
+    .then((u) => {
+      console.log(`✅ Usuário criado: ${u.email} (${u.papel})`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("Erro:", err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,404 @@
+import db from "./db.js";
+import { attachFotos } from "./fotos.js";
+import { parsePedidos } from "./equipamentoCatalogo.js";
+import { attachUltimaVisita } from "./visitas.js";
+
+/** =======================
+ * Consulta de clientes com filtros
+ * -----------------------
+ * Usada por GET /clientes (e pelas rotas que precisam dos mesmos filtros).
+ * Parâmetros aceitos (query string):
+ * - estado, cidade, equipamento: repetidos (?estado=SP&estado=RJ) ou separados por vírgula
+ * - q: texto livre, sem diferenciar acentos/maiúsculas
+ * - bbox: "minLng,minLat,maxLng,maxLat" (área visível do mapa)
+ * - sem_visita_dias: só clientes sem visita registrada nos últimos N dias
+ * - limit / offset: paginação (com limit, a rota devolve X-Total-Count)
+ * - campos: colunas a retornar (id sempre vem); "equipamentos", "fotos" e
+ *   "ultima_visita" incluem esses dados
+ * ======================= */
+export const CAMPOS_CLIENTE = [
+  "id",
+  "id_odoo",
+  "nome",
+  "telefone",
+  "celular",
+  "email",
+  "site",
+  "logradouro",
+  "numero",
+  "complemento",
+  "bairro",
+  "cidade",
+  "estado",
+  "cep",
+  "pais",
+  "endereco_completo",
+  "latitude",
+  "longitude",
+  "localizacao_manual",
+  "localizacao_manual_em",
+  "match_score",
+  "match_metodo",
+];
+
+// campos que não são colunas de clientes
+const CAMPOS_EXTRAS = ["equipamentos", "fotos", "ultima_visita"];
+
+export const MAX_LIMIT = 5000;
+
+function filtroError(message) {
+  const err = new Error(message);
+  err.name = "FiltroError";
+  return err;
+}
+
+function multiValue(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : [value];
+  return [
+    ...new Set(
+      list
+        .flatMap((v) => String(v).split(","))
+        .map((v) => v.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function parseBbox(raw) {
+  if (!raw) return null;
+
+  const parts = String(raw).split(",").map(Number);
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (
+    parts.length !== 4 ||
+    !parts.every(Number.isFinite) ||
+    minLng > maxLng ||
+    minLat > maxLat ||
+    minLat < -90 ||
+    maxLat > 90
+  ) {
+    throw filtroError('bbox inválido (use "minLng,minLat,maxLng,maxLat")');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * Lê os filtros da query string. Lança FiltroError se algum for inválido.
+ */
+export function parseClienteFilters(query = {}) {
+  let semVisitaDias = null;
+  if (query.sem_visita_dias !== undefined && query.sem_visita_dias !== "") {
+    semVisitaDias = parseInt(query.sem_visita_dias, 10);
+    if (!(semVisitaDias > 0)) throw filtroError("sem_visita_dias inválido");
+  }
+
+  return {
+    estados: multiValue(query.estado),
+    cidades: multiValue(query.cidade),
+    equipamentos: multiValue(query.equipamento),
+    q: String(query.q || "").trim(),
+    bbox: parseBbox(query.bbox),
+    semVisitaDias,
+  };
+}
+
+/**
+ * Lê limit/offset e campos da query string.
+ */
+export function parseListOptions(query = {}) {
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = parseInt(query.limit, 10);
+    if (!(limit > 0)) throw filtroError("limit inválido");
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+  let campos = null;
+  const pedidos = multiValue(query.campos);
+  if (pedidos.length) {
+    const invalidos = pedidos.filter((c) => !CAMPOS_CLIENTE.includes(c) && !CAMPOS_EXTRAS.includes(c));
+    if (invalidos.length) throw filtroError(`Campos desconhecidos: ${invalidos.join(", ")}`);
+    campos = [...new Set(["id", ...pedidos])];
+  }
+
+  return { limit, offset, campos };
+}
+
+/**
+ * WHERE para a tabela clientes (alias c). Sempre restringe a clientes
+ * geocodificados, como o mapa espera.
+ */
+export function buildClientesWhere({
+  estados = [],
+  cidades = [],
+  equipamentos = [],
+  q = "",
+  bbox = null,
+  semVisitaDias = null,
+} = {}) {
+  const conditions = ["c.latitude IS NOT NULL", "c.longitude IS NOT NULL"];
+  const params = [];
+
+  if (estados.length) {
+    conditions.push("c.estado IN (?)");
+    params.push(estados);
+  }
+
+  if (cidades.length) {
+    conditions.push("c.cidade IN (?)");
+    params.push(cidades);
+  }
+
+  if (q) {
+    // utf8mb4_general_ci ignora acentos e maiúsculas ("sao" acha "São")
+    conditions.push(
+      `CONCAT_WS(' ', c.nome, c.cidade, c.estado, c.bairro, c.cep, c.endereco_completo) COLLATE utf8mb4_general_ci LIKE ?`
+    );
+    params.push(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  if (equipamentos.length) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM equipamentos e WHERE e.cliente_id = c.id AND e.nome IN (?))`
+    );
+    params.push(equipamentos);
+  }
+
+  if (bbox) {
+    conditions.push("c.longitude BETWEEN ? AND ?", "c.latitude BETWEEN ? AND ?");
+    params.push(bbox.minLng, bbox.maxLng, bbox.minLat, bbox.maxLat);
+  }
+
+  if (semVisitaDias) {
+    // notas não contam como visita
+    conditions.push(
+      `NOT EXISTS (SELECT 1 FROM visitas v WHERE v.cliente_id = c.id AND v.tipo <> 'nota' AND v.data >= NOW() - INTERVAL ? DAY)`
+    );
+    params.push(semVisitaDias);
+  }
+
+  return { sql: conditions.join(" AND "), params };
+}
+
+/**
+ * Anexa { equipamentos: [{ nome, quantidade, origem, pedido_ref, pedido_data, pedidos }] }
+ * a cada cliente (pedido_* e pedidos só para itens vindos dos pedidos do Odoo;
+ * pedidos = [{ ref, data, quantidade }] de cada pedido que entrou na soma).
+ */
+export async function attachEquipamentos(rows) {
+  if (!rows.length) return rows;
+
+  try {
+    const [items] = await db.query(
+      `SELECT cliente_id, nome, quantidade, origem, pedido_ref, pedido_data, pedidos
+       FROM equipamentos WHERE cliente_id IN (?)`,
+      [rows.map((r) => r.id)]
+    );
+
+    const itemsByClient = new Map();
+    items.forEach((it) => {
+      if (!itemsByClient.has(it.cliente_id)) itemsByClient.set(it.cliente_id, []);
+      itemsByClient.get(it.cliente_id).push({
+        nome: it.nome,
+        quantidade: it.quantidade,
+        origem: it.origem || null,
+        pedido_ref: it.pedido_ref || null,
+        pedido_data: it.pedido_data || null,
+        pedidos: parsePedidos(it.pedidos),
+      });
+    });
+
+    return rows.map((r) => ({ ...r, equipamentos: itemsByClient.get(r.id) || [] }));
+  } catch (err) {
+    console.warn("Erro ao buscar equipamentos (talvez tabela ausente):", err.message || err);
+    return rows.map((r) => ({ ...r, equipamentos: [] }));
+  }
+}
+
+/**
+ * Busca clientes com filtros. Retorna { total, rows }; total só é calculado
+ * quando há paginação (limit), senão é o próprio número de linhas.
+ */
+export async function queryClientes({ filters = {}, limit = null, offset = 0, campos = null } = {}) {
+  const { sql: where, params } = buildClientesWhere(filters);
+
+  const colunas = campos ? campos.filter((c) => CAMPOS_CLIENTE.includes(c)) : null;
+  const select = colunas ? colunas.map((c) => `c.${c}`).join(", ") : "c.*";
+  const comEquipamentos = !campos || campos.includes("equipamentos");
+  const comFotos = !campos || campos.includes("fotos");
+  const comUltimaVisita = !campos || campos.includes("ultima_visita");
+
+  let sql = `SELECT ${select} FROM clientes c WHERE ${where} ORDER BY c.id`;
+  const queryParams = [...params];
+  if (limit) {
+    sql += ` LIMIT ? OFFSET ?`;
+    queryParams.push(limit, offset);
+  }
+
+  const [rows] = await db.query(sql, queryParams);
+
+  let total = rows.length;
+  if (limit) {
+    const [[count]] = await db.query(`SELECT COUNT(*) AS total FROM clientes c WHERE ${where}`, params);
+    total = count.total;
+  }
+
+  let result = comEquipamentos ? await attachEquipamentos(rows) : rows;
+  if (comFotos) result = await attachFotos(result);
+  if (comUltimaVisita) result = await attachUltimaVisita(result);
+  return { total, rows: result };
+}
+
+export const RAIO_PADRAO_KM = 10;
+export const RAIO_MAX_KM = 500;
+const KM_POR_GRAU = 111.32;
+
+/**
+ * Lê lat/lng/raio (km) de GET /clientes/proximos. Lança FiltroError se
+ * algum for inválido.
+ */
+export function parseProximidade(query = {}) {
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  if (query.lat === undefined || query.lng === undefined || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+      Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw filtroError("lat/lng inválidos");
+  }
+
+  const raio = query.raio === undefined || query.raio === "" ? RAIO_PADRAO_KM : Number(query.raio);
+  if (!(raio > 0) || raio > RAIO_MAX_KM) {
+    throw filtroError(`raio inválido (em km, até ${RAIO_MAX_KM})`);
+  }
+
+  return { lat, lng, raio };
+}
+
+/**
+ * Clientes a até `raio` km de (lat, lng), do mais próximo ao mais distante,
+ * com distancia_km (haversine). Um bbox em volta do ponto corta a maior
+ * parte da tabela antes do cálculo; os demais filtros de /clientes valem.
+ */
+export async function queryProximos({ lat, lng, raio }, { filters = {}, limit = null } = {}) {
+  const dLat = raio / KM_POR_GRAU;
+  const dLng = raio / (KM_POR_GRAU * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+  const bbox = {
+    minLng: lng - dLng,
+    maxLng: lng + dLng,
+    minLat: Math.max(lat - dLat, -90),
+    maxLat: Math.min(lat + dLat, 90),
+  };
+  const { sql: where, params } = buildClientesWhere({ ...filters, bbox });
+
+  const [rows] = await db.query(
+    `SELECT c.*,
+            6371 * 2 * ASIN(SQRT(
+              POW(SIN(RADIANS(c.latitude - ?) / 2), 2) +
+              COS(RADIANS(?)) * COS(RADIANS(c.latitude)) * POW(SIN(RADIANS(c.longitude - ?) / 2), 2)
+            )) AS distancia_km
+     FROM clientes c
+     WHERE ${where}
+     HAVING distancia_km <= ?
+     ORDER BY distancia_km, c.id
+     LIMIT ?`,
+    [lat, lat, lng, ...params, raio, limit || MAX_LIMIT]
+  );
+
+  const comDistancia = rows.map((r) => ({ ...r, distancia_km: Math.round(Number(r.distancia_km) * 100) / 100 }));
+  return attachUltimaVisita(await attachFotos(await attachEquipamentos(comDistancia)));
+}
+
+/**
+ * Estados e cidades disponíveis (para os selects do mapa quando ele não
+ * carrega todos os clientes de uma vez).
+ */
+export async function getFilterOptions() {
+  const [rows] = await db.query(
+    `SELECT DISTINCT estado, cidade
+     FROM clientes
+     WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+     ORDER BY estado, cidade`
+  );
+
+  const estados = [...new Set(rows.map((r) => r.estado).filter(Boolean))];
+  const cidades = rows.filter((r) => r.cidade).map((r) => ({ estado: r.estado || "", cidade: r.cidade }));
+  return { estados, cidades };
+}
+
+/**
+ * Equipamentos com o número de clientes (e a quantidade somada) de cada um,
+ * respeitando os demais filtros do mapa. Código/categoria vêm do catálogo.
+ */
+export async function countEquipamentos(filters = {}) {
+  const { sql: where, params } = buildClientesWhere({ ...filters, equipamentos: [] });
+
+  const [rows] = await db.query(
+    `SELECT e.nome, MAX(k.codigo) AS codigo, MAX(k.categoria) AS categoria,
+            COUNT(DISTINCT e.cliente_id) AS clientes, SUM(e.quantidade) AS quantidade
+     FROM equipamentos e
+     JOIN clientes c ON c.id = e.cliente_id
+     LEFT JOIN equipamento_catalogo k ON k.id = e.catalogo_id
+     WHERE ${where}
+     GROUP BY e.nome
+     ORDER BY clientes DESC, e.nome`,
+    params
+  );
+
+  return rows.map((r) => ({
+    nome: r.nome,
+    codigo: r.codigo || null,
+    categoria: r.categoria || null,
+    clientes: Number(r.clientes),
+    quantidade: r.quantidade === null ? null : Number(r.quantidade),
+  }));
+}
+
+/**
+ * Clientes e quantidade de equipamentos por UF, para o mapa coroplético.
+ * O filtro de estado é ignorado: todos os estados continuam sombreados.
+ */
+export async function countByEstado(filters = {}) {
+  const { sql: where, params } = buildClientesWhere({ ...filters, estados: [] });
+
+  const [rows] = await db.query(
+    `SELECT c.estado, COUNT(*) AS clientes, COALESCE(SUM(q.quantidade), 0) AS quantidade
+     FROM clientes c
+     LEFT JOIN (
+       SELECT cliente_id, SUM(quantidade) AS quantidade FROM equipamentos GROUP BY cliente_id
+     ) q ON q.cliente_id = c.id
+     WHERE ${where} AND c.estado IS NOT NULL AND c.estado <> ''
+     GROUP BY c.estado
+     ORDER BY c.estado`,
+    params
+  );
+
+  return rows.map((r) => ({
+    estado: r.estado,
+    clientes: Number(r.clientes),
+    quantidade: Number(r.quantidade),
+  }));
+}
+
+// casas decimais dos pontos do heatmap (3 ≈ 100 m)
+const DENSIDADE_PRECISAO = 3;
+
+/**
+ * Pontos para o heatmap: [[lat, lng, clientes], ...], agrupando clientes
+ * muito próximos para não mandar um ponto por cliente.
+ */
+export async function densityPoints(filters = {}) {
+  const { sql: where, params } = buildClientesWhere(filters);
+
+  const [rows] = await db.query(
+    `SELECT ROUND(c.latitude, ${DENSIDADE_PRECISAO}) AS lat, ROUND(c.longitude, ${DENSIDADE_PRECISAO}) AS lng,
+            COUNT(*) AS clientes
+     FROM clientes c
+     WHERE ${where}
+     GROUP BY lat, lng`,
+    params
+  );
+
+  return rows.map((r) => [Number(r.lat), Number(r.lng), Number(r.clientes)]);
+}
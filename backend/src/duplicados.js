@@ -0,0 +1,154 @@
+import db from "./db.js";
+
+/** =======================
+ * Possíveis duplicatas de endereço
+ * -----------------------
+ * A sincronização compara cada cliente com os já gravados (mesmo CEP,
+ * cidade ou logradouro) e registra os pares em clientes_duplicados, com os
+ * motivos do match. Um admin marca cada par como:
+ * - mesmo_cliente: o mapa mostra um único pin (o de menor id)
+ * - nao_duplicado: o par não volta a ser sugerido
+ * ======================= */
+export const STATUS_DUPLICADO = ["pendente", "mesmo_cliente", "nao_duplicado"];
+
+/**
+ * Grava os pares encontrados para um cliente (id local). `matches` é
+ * [{ id, motivos: ["cep" | "cidade" | "logradouro", ...] }].
+ * Pares pendentes que deixaram de bater são removidos; pares já resolvidos
+ * por um admin são mantidos como estão.
+ */
+export async function recordDuplicates(clienteId, matches) {
+  const ids = [];
+  for (const m of matches || []) {
+    if (!m.id || m.id === clienteId || !m.motivos?.length) continue;
+    ids.push(m.id);
+
+    await db.query(
+      `INSERT INTO clientes_duplicados (cliente_a, cliente_b, motivos, status, detectado_em)
+       VALUES (?, ?, ?, 'pendente', NOW())
+       ON DUPLICATE KEY UPDATE motivos = VALUES(motivos)`,
+      [Math.min(clienteId, m.id), Math.max(clienteId, m.id), m.motivos.join(",")]
+    );
+  }
+
+  await db.query(
+    `DELETE FROM clientes_duplicados
+     WHERE status = 'pendente'
+       AND (cliente_a = ? OR cliente_b = ?)
+       ${ids.length ? "AND IF(cliente_a = ?, cliente_b, cliente_a) NOT IN (?)" : ""}`,
+    ids.length ? [clienteId, clienteId, clienteId, ids] : [clienteId, clienteId]
+  );
+}
+
+/**
+ * Lista os pares com nome/cidade dos dois clientes.
+ */
+export async function listDuplicates({ status = "pendente", limit = 50, offset = 0 } = {}) {
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM clientes_duplicados WHERE status = ?`,
+    [status]
+  );
+  const [rows] = await db.query(
+    `SELECT d.id, d.motivos, d.status, d.detectado_em, d.resolvido_em,
+            a.id AS a_id, a.id_odoo AS a_id_odoo, a.nome AS a_nome, a.cidade AS a_cidade, a.estado AS a_estado,
+            b.id AS b_id, b.id_odoo AS b_id_odoo, b.nome AS b_nome, b.cidade AS b_cidade, b.estado AS b_estado
+     FROM clientes_duplicados d
+     JOIN clientes a ON a.id = d.cliente_a
+     JOIN clientes b ON b.id = d.cliente_b
+     WHERE d.status = ?
+     ORDER BY d.detectado_em DESC, d.id DESC
+     LIMIT ? OFFSET ?`,
+    [status, limit, offset]
+  );
+
+  const itens = rows.map((r) => ({
+    id: r.id,
+    motivos: r.motivos.split(","),
+    status: r.status,
+    detectado_em: r.detectado_em,
+    resolvido_em: r.resolvido_em,
+    cliente_a: { id: r.a_id, id_odoo: r.a_id_odoo, nome: r.a_nome, cidade: r.a_cidade, estado: r.a_estado },
+    cliente_b: { id: r.b_id, id_odoo: r.b_id_odoo, nome: r.b_nome, cidade: r.b_cidade, estado: r.b_estado },
+  }));
+
+  return { total, itens };
+}
+
+/**
+ * Pares pendentes e mesmo_cliente agrupados por cliente:
+ * Map id → [{ par_id, id, motivos, status }].
+ */
+export async function getDuplicatesByCliente() {
+  const [rows] = await db.query(
+    `SELECT id, cliente_a, cliente_b, motivos, status
+     FROM clientes_duplicados
+     WHERE status IN ('pendente', 'mesmo_cliente')`
+  );
+
+  const byCliente = new Map();
+  const add = (clienteId, item) => {
+    if (!byCliente.has(clienteId)) byCliente.set(clienteId, []);
+    byCliente.get(clienteId).push(item);
+  };
+
+  for (const r of rows) {
+    const base = { par_id: r.id, motivos: r.motivos.split(","), status: r.status };
+    add(r.cliente_a, { ...base, id: r.cliente_b });
+    add(r.cliente_b, { ...base, id: r.cliente_a });
+  }
+
+  return byCliente;
+}
+
+/**
+ * Agrupa os pares mesmo_cliente (inclusive em cadeia: A=B, B=C) e devolve
+ * Map id → id do cliente principal do grupo (menor id). O principal e os
+ * clientes sem grupo não entram no Map.
+ */
+export async function getMergeMap() {
+  const [rows] = await db.query(
+    `SELECT cliente_a, cliente_b FROM clientes_duplicados WHERE status = 'mesmo_cliente'`
+  );
+
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.has(x) && parent.get(x) !== x) x = parent.get(x);
+    return x;
+  };
+
+  for (const { cliente_a, cliente_b } of rows) {
+    const ra = find(cliente_a);
+    const rb = find(cliente_b);
+    if (ra === rb) continue;
+    parent.set(Math.max(ra, rb), Math.min(ra, rb));
+  }
+
+  const merged = new Map();
+  for (const id of parent.keys()) merged.set(id, find(id));
+  return merged;
+}
+
+/**
+ * Marca um par. Retorna o par atualizado ou null se não existir.
+ */
+export async function setDuplicateStatus(parId, status) {
+  if (!STATUS_DUPLICADO.includes(status)) {
+    const err = new Error(`Status inválido (use: ${STATUS_DUPLICADO.join(", ")})`);
+    err.name = "DuplicadoError";
+    throw err;
+  }
+
+  const [res] = await db.query(
+    `UPDATE clientes_duplicados
+     SET status = ?, resolvido_em = IF(? = 'pendente', NULL, NOW())
+     WHERE id = ?`,
+    [status, status, parId]
+  );
+  if (!res.affectedRows) return null;
+
+  const [rows] = await db.query(
+    `SELECT id, cliente_a, cliente_b, motivos, status, resolvido_em FROM clientes_duplicados WHERE id = ?`,
+    [parId]
+  );
+  return rows[0] || null;
+}
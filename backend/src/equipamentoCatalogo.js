@@ -0,0 +1,396 @@
+import db from "./db.js";
+import { combineQty } from "./equipamentos.js";
+
+/** =======================
+ * Catálogo canônico de equipamentos
+ * -----------------------
+ * - equipamento_catalogo: nome canônico, código (bloco [CÓDIGO] dos itens do
+ *   pedido) e categoria
+ * - equipamento_aliases: grafias conhecidas de cada item
+ * - equipamento_desconhecidos: nomes sem item no catálogo, para um admin classificar
+ *
+ * Na sincronização cada item da planilha é resolvido por código → alias →
+ * nome canônico. Código ainda desconhecido cria um item novo no catálogo
+ * (um código é sempre um produto); nome sem código e sem alias vai para a
+ * fila de desconhecidos e é gravado como veio.
+ *
+ * equipamentos.nome guarda o nome canônico (assim filtros e contagens juntam
+ * as grafias); a grafia da planilha fica em nome_original.
+ * ======================= */
+function catalogoError(message) {
+  const err = new Error(message);
+  err.name = "CatalogoError";
+  return err;
+}
+
+/**
+ * Chave de comparação de nomes: sem acento, minúsculo, só letras/números.
+ */
+export function normalizeEquipName(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .slice(0, 255);
+}
+
+function normalizeCode(s) {
+  const code = String(s || "").replace(/\s+/g, " ").trim().toUpperCase();
+  return code || null;
+}
+
+/**
+ * Índices do catálogo: { byCodigo, byNome } (byNome inclui os aliases).
+ */
+async function loadCatalogIndex() {
+  const [itens] = await db.query(`SELECT id, nome, codigo, categoria FROM equipamento_catalogo`);
+  const [aliases] = await db.query(`SELECT alias_normalizado, catalogo_id FROM equipamento_aliases`);
+
+  const byId = new Map(itens.map((i) => [i.id, i]));
+  const byCodigo = new Map();
+  const byNome = new Map();
+
+  for (const item of itens) {
+    if (item.codigo) byCodigo.set(item.codigo, item);
+    byNome.set(normalizeEquipName(item.nome), item);
+  }
+  for (const a of aliases) {
+    const item = byId.get(a.catalogo_id);
+    if (item && !byNome.has(a.alias_normalizado)) byNome.set(a.alias_normalizado, item);
+  }
+
+  return { byCodigo, byNome };
+}
+
+async function recordUnknown(nome) {
+  const key = normalizeEquipName(nome);
+  if (!key) return;
+
+  await db.query(
+    `INSERT INTO equipamento_desconhecidos (nome_normalizado, nome, status, primeira_vez, ultima_vez)
+     VALUES (?, ?, 'pendente', NOW(), NOW())
+     ON DUPLICATE KEY UPDATE ocorrencias = ocorrencias + 1, ultima_vez = NOW()`,
+    [key, String(nome).slice(0, 255)]
+  );
+}
+
+async function addAlias(catalogoId, alias) {
+  const key = normalizeEquipName(alias);
+  if (!key) return;
+
+  await db.query(
+    `INSERT INTO equipamento_aliases (alias_normalizado, alias, catalogo_id)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE alias = VALUES(alias), catalogo_id = VALUES(catalogo_id)`,
+    [key, String(alias).slice(0, 255), catalogoId]
+  );
+}
+
+// date_order do Odoo ("YYYY-MM-DD HH:MM:SS", UTC) → ISO, como as colunas DATETIME chegam no front
+function dataPedidoIso(data) {
+  if (!data) return null;
+  const d = new Date(`${String(data).replace(" ", "T")}Z`);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+// coluna equipamentos.pedidos (JSON) → lista ou null
+export function parsePedidos(texto) {
+  if (!texto) return null;
+  try {
+    const lista = JSON.parse(texto);
+    return Array.isArray(lista) && lista.length ? lista : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Junta listas de pedidos [{ ref, data, quantidade }] (mesmo pedido soma as
+ * quantidades), mais recente primeiro. Lista vazia vira null.
+ */
+export function mergePedidos(a, b) {
+  const porRef = new Map();
+  for (const p of [...(a || []), ...(b || [])]) {
+    const prev = porRef.get(p.ref);
+    porRef.set(p.ref, prev ? { ...prev, quantidade: combineQty(prev.quantidade, p.quantidade) } : { ...p });
+  }
+  const lista = [...porRef.values()].sort((x, y) => String(y.data || "").localeCompare(String(x.data || "")));
+  return lista.length ? lista : null;
+}
+
+/**
+ * Resolve os itens de parseEquipmentList()/parseOrderLines() no catálogo.
+ * Retorna a lista agregada por nome canônico:
+ * [{ nome, quantidade, catalogo_id, nome_original, pedido_ref, pedido_data, pedidos }];
+ * `pedidos` lista cada pedido que entrou na soma e pedido_* é o mais recente.
+ * gravar = false não cria itens, aliases nem desconhecidos (simulação).
+ */
+export async function resolveEquipamentos(itens, { gravar = true } = {}) {
+  if (!itens || !itens.length) return [];
+  const { byCodigo, byNome } = await loadCatalogIndex();
+
+  const resolved = new Map(); // nome final -> item
+  for (const item of itens) {
+    const codigo = normalizeCode(item.codigo);
+    let entry = (codigo && byCodigo.get(codigo)) || byNome.get(normalizeEquipName(item.nome)) || null;
+
+    if (!entry && codigo && gravar) {
+      entry = await createCatalogItem({ nome: item.nome, codigo }).catch(() => null);
+      if (entry) {
+        byCodigo.set(codigo, entry);
+        byNome.set(normalizeEquipName(entry.nome), entry);
+      }
+    }
+
+    if (gravar && !entry) await recordUnknown(item.nome);
+    else if (gravar && normalizeEquipName(item.nome) !== normalizeEquipName(entry.nome)) {
+      // nova grafia de um item conhecido: vira alias
+      await addAlias(entry.id, item.nome);
+      byNome.set(normalizeEquipName(item.nome), entry);
+    }
+
+    const nome = entry ? entry.nome : item.nome;
+    const prev = resolved.get(nome);
+    const maisRecente = !prev || String(item.pedido_data || "") > String(prev.pedido_data || "");
+    resolved.set(nome, {
+      nome,
+      quantidade: prev ? combineQty(prev.quantidade, item.quantidade) : item.quantidade,
+      catalogo_id: entry ? entry.id : null,
+      nome_original: prev ? prev.nome_original : item.nome,
+      pedido_ref: maisRecente ? item.pedido_ref || null : prev.pedido_ref,
+      pedido_data: maisRecente ? item.pedido_data || null : prev.pedido_data,
+      pedidos: item.pedido_ref
+        ? mergePedidos(prev?.pedidos, [{ ref: item.pedido_ref, data: dataPedidoIso(item.pedido_data), quantidade: item.quantidade }])
+        : prev?.pedidos || null,
+    });
+  }
+
+  return [...resolved.values()];
+}
+
+/**
+ * Move linhas de equipamentos para o nome canônico de um item do catálogo,
+ * somando quantidades quando o cliente já tinha esse item.
+ */
+async function moveRowsToCatalog(where, params, entry) {
+  const [rows] = await db.query(
+    `SELECT id, cliente_id, nome, quantidade, pedidos FROM equipamentos WHERE ${where}`,
+    params
+  );
+
+  for (const row of rows) {
+    if (row.nome === entry.nome) {
+      await db.query(
+        `UPDATE equipamentos SET catalogo_id = ?, nome_original = COALESCE(nome_original, nome) WHERE id = ?`,
+        [entry.id, row.id]
+      );
+      continue;
+    }
+
+    const [[existing]] = await db.query(
+      `SELECT id, quantidade, pedidos FROM equipamentos WHERE cliente_id = ? AND nome = ? AND id != ? LIMIT 1`,
+      [row.cliente_id, entry.nome, row.id]
+    );
+
+    if (existing) {
+      const pedidos = mergePedidos(parsePedidos(existing.pedidos), parsePedidos(row.pedidos));
+      await db.query(
+        `UPDATE equipamentos
+         SET quantidade = ?, catalogo_id = ?, pedidos = ?,
+             pedido_ref = COALESCE(?, pedido_ref), pedido_data = COALESCE(?, pedido_data)
+         WHERE id = ?`,
+        [
+          combineQty(existing.quantidade, row.quantidade),
+          entry.id,
+          pedidos ? JSON.stringify(pedidos) : null,
+          pedidos ? pedidos[0].ref : null,
+          pedidos ? pedidos[0].data : null,
+          existing.id,
+        ]
+      );
+      await db.query(`DELETE FROM equipamentos WHERE id = ?`, [row.id]);
+    } else {
+      await db.query(
+        `UPDATE equipamentos
+         SET nome = ?, catalogo_id = ?, nome_original = COALESCE(nome_original, nome)
+         WHERE id = ?`,
+        [entry.nome, entry.id, row.id]
+      );
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Migra as linhas já gravadas sem item de catálogo: as que batem com um
+ * nome/alias passam para o nome canônico; as demais entram na fila de
+ * desconhecidos. Idempotente — a sincronização chama a cada execução.
+ */
+export async function migrateEquipamentos() {
+  const { byNome } = await loadCatalogIndex();
+
+  const [nomes] = await db.query(
+    `SELECT nome, COUNT(*) AS total FROM equipamentos WHERE catalogo_id IS NULL GROUP BY nome`
+  );
+
+  let migrados = 0;
+  for (const { nome, total } of nomes) {
+    const entry = byNome.get(normalizeEquipName(nome));
+    if (entry) {
+      migrados += await moveRowsToCatalog(`nome = ? AND catalogo_id IS NULL`, [nome], entry);
+    } else {
+      const key = normalizeEquipName(nome);
+      if (!key) continue;
+      await db.query(
+        `INSERT INTO equipamento_desconhecidos (nome_normalizado, nome, ocorrencias, status, primeira_vez, ultima_vez)
+         VALUES (?, ?, ?, 'pendente', NOW(), NOW())
+         ON DUPLICATE KEY UPDATE ocorrencias = GREATEST(ocorrencias, VALUES(ocorrencias))`,
+        [key, String(nome).slice(0, 255), Number(total)]
+      );
+    }
+  }
+
+  return migrados;
+}
+
+/* ======================================================
+   ADMIN
+====================================================== */
+export async function listCatalogo() {
+  const [itens] = await db.query(
+    `SELECT c.id, c.nome, c.codigo, c.categoria, COUNT(DISTINCT e.cliente_id) AS clientes
+     FROM equipamento_catalogo c
+     LEFT JOIN equipamentos e ON e.catalogo_id = c.id
+     GROUP BY c.id
+     ORDER BY c.nome`
+  );
+  const [aliases] = await db.query(`SELECT alias, catalogo_id FROM equipamento_aliases ORDER BY alias`);
+
+  const byItem = new Map();
+  for (const a of aliases) {
+    if (!byItem.has(a.catalogo_id)) byItem.set(a.catalogo_id, []);
+    byItem.get(a.catalogo_id).push(a.alias);
+  }
+
+  return itens.map((i) => ({ ...i, clientes: Number(i.clientes), aliases: byItem.get(i.id) || [] }));
+}
+
+async function getCatalogItem(id) {
+  const [rows] = await db.query(
+    `SELECT id, nome, codigo, categoria FROM equipamento_catalogo WHERE id = ? LIMIT 1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Cria um item. Lança CatalogoError se o nome ou o código já existirem.
+ */
+export async function createCatalogItem({ nome, codigo = null, categoria = null, aliases = [] }) {
+  const nomeLimpo = String(nome || "").replace(/\s+/g, " ").trim();
+  if (!nomeLimpo) throw catalogoError("Informe o nome do equipamento");
+
+  let res;
+  try {
+    [res] = await db.query(
+      `INSERT INTO equipamento_catalogo (nome, codigo, categoria) VALUES (?, ?, ?)`,
+      [nomeLimpo.slice(0, 255), normalizeCode(codigo), categoria ? String(categoria).trim() : null]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw catalogoError("Já existe um item com esse nome ou código");
+    throw err;
+  }
+
+  for (const alias of aliases || []) await addAlias(res.insertId, alias);
+  return getCatalogItem(res.insertId);
+}
+
+/**
+ * Atualiza nome/código/categoria e, se informado, substitui a lista de
+ * aliases. Renomear atualiza o nome gravado nos clientes.
+ */
+export async function updateCatalogItem(id, { nome, codigo, categoria, aliases } = {}) {
+  const atual = await getCatalogItem(id);
+  if (!atual) return null;
+
+  const novo = {
+    nome: nome !== undefined ? String(nome).replace(/\s+/g, " ").trim() : atual.nome,
+    codigo: codigo !== undefined ? normalizeCode(codigo) : atual.codigo,
+    categoria: categoria !== undefined ? (categoria ? String(categoria).trim() : null) : atual.categoria,
+  };
+  if (!novo.nome) throw catalogoError("Informe o nome do equipamento");
+
+  try {
+    await db.query(
+      `UPDATE equipamento_catalogo SET nome = ?, codigo = ?, categoria = ? WHERE id = ?`,
+      [novo.nome.slice(0, 255), novo.codigo, novo.categoria, id]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw catalogoError("Já existe um item com esse nome ou código");
+    throw err;
+  }
+
+  if (Array.isArray(aliases)) {
+    await db.query(`DELETE FROM equipamento_aliases WHERE catalogo_id = ?`, [id]);
+    for (const alias of aliases) await addAlias(id, alias);
+  }
+
+  if (novo.nome !== atual.nome) {
+    await moveRowsToCatalog(`catalogo_id = ?`, [id], { ...novo, id });
+  }
+
+  return getCatalogItem(id);
+}
+
+export async function listDesconhecidos({ status = "pendente", limit = 50, offset = 0 } = {}) {
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM equipamento_desconhecidos WHERE status = ?`,
+    [status]
+  );
+  const [itens] = await db.query(
+    `SELECT nome, ocorrencias, status, catalogo_id, primeira_vez, ultima_vez
+     FROM equipamento_desconhecidos
+     WHERE status = ?
+     ORDER BY ocorrencias DESC, nome
+     LIMIT ? OFFSET ?`,
+    [status, limit, offset]
+  );
+
+  return { total, itens };
+}
+
+/**
+ * Classifica um nome desconhecido: vira alias do item informado (ou de um
+ * item novo) e as linhas já gravadas com esse nome passam para o canônico.
+ * Retorna o item do catálogo ou null se o item informado não existir.
+ */
+export async function classificarDesconhecido(nome, { catalogoId = null, novo = null } = {}) {
+  const entry = novo ? await createCatalogItem(novo) : await getCatalogItem(catalogoId);
+  if (!entry) return null;
+
+  await addAlias(entry.id, nome);
+  await db.query(
+    `UPDATE equipamento_desconhecidos SET status = 'classificado', catalogo_id = ? WHERE nome_normalizado = ?`,
+    [entry.id, normalizeEquipName(nome)]
+  );
+
+  // linhas gravadas com qualquer grafia equivalente
+  const [nomes] = await db.query(`SELECT DISTINCT nome FROM equipamentos WHERE catalogo_id IS NULL`);
+  const key = normalizeEquipName(nome);
+  for (const n of nomes.filter((r) => normalizeEquipName(r.nome) === key)) {
+    await moveRowsToCatalog(`nome = ? AND catalogo_id IS NULL`, [n.nome], entry);
+  }
+
+  return entry;
+}
+
+export async function ignorarDesconhecido(nome) {
+  const [res] = await db.query(
+    `UPDATE equipamento_desconhecidos SET status = 'ignorado' WHERE nome_normalizado = ?`,
+    [normalizeEquipName(nome)]
+  );
+  return res.affectedRows > 0;
+}
@@ -0,0 +1,101 @@
+/** =======================
+ * Parser da coluna "Itens do pedido" da planilha
+ * -----------------------
+ * Ex.: "S/2026/64564 - [TC47-BR] THINKEASY - PINCA DE TESTE DE BATERIA; ..."
+ *   → [{ nome: "THINKEASY - PINCA DE TESTE DE BATERIA", quantidade: null, codigo: "TC47-BR" }]
+ * ======================= */
+function sanitizeEquipmentName(raw) {
+  let s = String(raw || "").trim();
+  // normalizar traços tipográficos
+  s = s.replace(/[–—]/g, "-");
+
+  // remover prefixos como "S/2025/63699 - "
+  s = s.replace(/^[A-Za-z]\/[0-9]{4}\/[0-9]+\s*[-–—]\s*/i, "");
+
+  // remover prefixos numéricos como "164669- "
+  s = s.replace(/^\d+\s*[-–—]\s*/, "");
+
+  // se houver bloco em colchetes, manter apenas o que vem DEPOIS dele
+  const br = s.match(/\[[^\]]+\]\s*(.+)$/);
+  if (br) s = br[1];
+
+  // remover separadores/pontuação iniciais remanescentes
+  s = s.replace(/^[\s\-–—:]+/, "");
+
+  // colapsar espaços
+  s = s.replace(/\s+/g, " ").trim();
+  return s;
+}
+
+// código do produto: conteúdo do bloco [CÓDIGO]
+function extractCode(raw) {
+  const m = String(raw || "").match(/\[([^\]]+)\]/);
+  const code = m ? m[1].replace(/\s+/g, " ").trim().toUpperCase() : "";
+  return code || null;
+}
+
+function parsePart(p) {
+  // Captura quantidade no fim em formatos comuns: ' — 2', '- 2', 'x2', '(2)', '×2'
+  const m = p.match(/^(.*?)(?:[\s\-–—x×\(*]*([0-9]+)\)?)?\s*$/i);
+  let name = m ? String(m[1] || "").trim() : String(p || "").trim();
+  const qty = m && m[2] ? parseInt(m[2], 10) || null : null;
+
+  // higienização pedida: manter apenas o que vier após o bloco em colchetes [CÓDIGO]
+  const code = extractCode(name);
+  name = sanitizeEquipmentName(name);
+  return { name, qty, code };
+}
+
+// Agregar por nome para evitar duplicados pós-higienização
+export function combineQty(a, b) {
+  if (a == null && b == null) return null;
+  if (a == null) return b;
+  if (b == null) return a;
+  return a + b;
+}
+
+export function splitEquipmentParts(raw) {
+  // split by comma/semicolon/pipe/newline
+  return String(raw || "")
+    .split(/[;,\n|]+/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converte o texto bruto em lista agregada de { nome, quantidade, codigo }.
+ */
+export function parseEquipmentList(raw) {
+  const aggregated = new Map(); // nome -> { quantidade, codigo }
+
+  for (const part of splitEquipmentParts(raw)) {
+    const { name, qty, code } = parsePart(part);
+    if (!name) continue;
+    const prev = aggregated.get(name);
+    aggregated.set(
+      name,
+      prev === undefined
+        ? { quantidade: qty, codigo: code }
+        : { quantidade: combineQty(prev.quantidade, qty), codigo: prev.codigo || code }
+    );
+  }
+
+  return [...aggregated.entries()].map(([nome, { quantidade, codigo }]) => ({ nome, quantidade, codigo }));
+}
+
+/**
+ * Converte linhas de pedido do Odoo (getSaleOrderLines) para o mesmo formato,
+ * com { pedido_ref, pedido_data } de cada linha. O nome do produto passa pela
+ * mesma higienização da planilha ("[CÓDIGO] Nome" → "Nome").
+ */
+export function parseOrderLines(linhas) {
+  return (linhas || [])
+    .map((l) => ({
+      nome: sanitizeEquipmentName(l.produto),
+      quantidade: l.quantidade ? Math.round(l.quantidade) : null,
+      codigo: l.codigo ? String(l.codigo).trim().toUpperCase() : extractCode(l.produto),
+      pedido_ref: l.pedido_ref || null,
+      pedido_data: l.pedido_data || null,
+    }))
+    .filter((i) => i.nome);
+}
@@ -0,0 +1,172 @@
+import xlsx from "xlsx";
+
+/** =======================
+ * Exportação de clientes
+ * -----------------------
+ * Usada por GET /clientes/export?format=csv|xlsx|geojson|kml (mesmos filtros
+ * de /clientes). Cada linha leva os campos de contato, o endereço, as
+ * coordenadas e os equipamentos do cliente.
+ * ======================= */
+const COLUNAS = [
+  ["id", "ID"],
+  ["id_odoo", "ID Odoo"],
+  ["nome", "Nome"],
+  ["telefone", "Telefone"],
+  ["celular", "Celular"],
+  ["email", "Email"],
+  ["site", "Site"],
+  ["logradouro", "Logradouro"],
+  ["numero", "Número"],
+  ["complemento", "Complemento"],
+  ["bairro", "Bairro"],
+  ["cidade", "Cidade"],
+  ["estado", "UF"],
+  ["cep", "CEP"],
+  ["endereco_completo", "Endereço completo"],
+  ["latitude", "Latitude"],
+  ["longitude", "Longitude"],
+];
+
+function exportError(message) {
+  const err = new Error(message);
+  err.name = "ExportError";
+  return err;
+}
+
+function equipamentosTexto(c) {
+  return (c.equipamentos || [])
+    .map((e) => (e.quantidade ? `${e.nome} (${e.quantidade})` : e.nome))
+    .join("; ");
+}
+
+// no CSV, texto começando com = + - @ (ou tab/CR) vira fórmula ao abrir no Excel:
+// o apóstrofo faz a célula ser lida como texto. Números e telefones
+// ("+55 (11) 9999-0000", "-23.5") ficam como estão.
+function semFormula(valor) {
+  if (typeof valor !== "string" || !/^[=+\-@\t\r]/.test(valor)) return valor;
+  return /^[+-]?[\d\s().-]+$/.test(valor) ? valor : `'${valor}`;
+}
+
+// linhas planas (CSV/XLSX), com os cabeçalhos em português
+function linhas(clientes) {
+  const comDistancia = clientes.some((c) => c.distancia_km != null);
+
+  return clientes.map((c) => {
+    const linha = {};
+    for (const [campo, titulo] of COLUNAS) {
+      linha[titulo] = c[campo] ?? "";
+    }
+    linha["Equipamentos"] = equipamentosTexto(c);
+    if (comDistancia) linha["Distância (km)"] = c.distancia_km ?? "";
+    return linha;
+  });
+}
+
+function toCsv(clientes) {
+  const sheet = xlsx.utils.json_to_sheet(
+    linhas(clientes).map((linha) =>
+      Object.fromEntries(Object.entries(linha).map(([titulo, valor]) => [titulo, semFormula(valor)]))
+    )
+  );
+  // ";" e BOM: o Excel em pt-BR abre direto, com acentos e sem juntar colunas
+  return "\uFEFF" + xlsx.utils.sheet_to_csv(sheet, { FS: ";" });
+}
+
+function toXlsx(clientes) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(linhas(clientes)), "Clientes");
+  return xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+function toGeoJson(clientes) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: clientes.map((c) => {
+      const properties = {};
+      for (const [campo] of COLUNAS) {
+        if (campo !== "latitude" && campo !== "longitude") properties[campo] = c[campo] ?? null;
+      }
+      properties.equipamentos = (c.equipamentos || []).map((e) => ({ nome: e.nome, quantidade: e.quantidade }));
+      if (c.distancia_km != null) properties.distancia_km = c.distancia_km;
+
+      return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [Number(c.longitude), Number(c.latitude)] },
+        properties,
+      };
+    }),
+  });
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toKml(clientes) {
+  const placemarks = clientes.map((c) => {
+    const descricao = [
+      c.telefone && `Telefone: ${c.telefone}`,
+      c.celular && `Celular: ${c.celular}`,
+      c.email && `Email: ${c.email}`,
+      c.endereco_completo || [c.logradouro, c.numero, c.bairro, c.cidade, c.estado].filter(Boolean).join(", "),
+      c.cep && `CEP: ${c.cep}`,
+      c.equipamentos?.length && `Equipamentos: ${equipamentosTexto(c)}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const dados = COLUNAS.filter(([campo]) => c[campo] !== null && c[campo] !== undefined && c[campo] !== "")
+      .map(([campo]) => `<Data name="${campo}"><value>${escapeXml(c[campo])}</value></Data>`)
+      .join("");
+
+    return `
+    <Placemark>
+      <name>${escapeXml(c.nome)}</name>
+      <description>${escapeXml(descricao)}</description>
+      <ExtendedData>${dados}</ExtendedData>
+      <Point><coordinates>${Number(c.longitude)},${Number(c.latitude)},0</coordinates></Point>
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Clientes</name>${placemarks.join("")}
+  </Document>
+</kml>
+`;
+}
+
+const FORMATOS = {
+  csv: { contentType: "text/csv; charset=utf-8", gerar: toCsv },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    gerar: toXlsx,
+  },
+  geojson: { contentType: "application/geo+json; charset=utf-8", gerar: toGeoJson },
+  kml: { contentType: "application/vnd.google-earth.kml+xml; charset=utf-8", gerar: toKml },
+};
+
+export const FORMATOS_EXPORT = Object.keys(FORMATOS);
+
+/**
+ * Gera o arquivo no formato pedido. Retorna { contentType, filename, body };
+ * lança ExportError para formato desconhecido.
+ */
+export function exportClientes(clientes, format = "csv") {
+  const formato = FORMATOS[String(format).toLowerCase()];
+  if (!formato) {
+    throw exportError(`Formato inválido (use: ${FORMATOS_EXPORT.join(", ")})`);
+  }
+
+  const data = new Date().toISOString().slice(0, 10);
+  return {
+    contentType: formato.contentType,
+    filename: `clientes-${data}.${String(format).toLowerCase()}`,
+    body: formato.gerar(clientes),
+  };
+}
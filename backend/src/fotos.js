@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+import db from "./db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** =======================
+ * Fotos dos clientes
+ * -----------------------
+ * Arquivos no disco do servidor (servidos em /fotos, só para usuários logados):
+ * - original/<arquivo>.jpg: a foto girada conforme o EXIF, limitada a
+ *   FOTO_MAX_PX e sem metadados (o GPS da câmera não vai junto)
+ * - thumb/<arquivo>.jpg: miniatura usada na galeria da sidebar
+ * ======================= */
+export const FOTOS_DIR = path.resolve(__dirname, "../uploads/fotos");
+const ORIGINAL_DIR = path.join(FOTOS_DIR, "original");
+const THUMB_DIR = path.join(FOTOS_DIR, "thumb");
+
+export const FOTOS_URL = "/fotos";
+export const MAX_FOTO_BYTES = 15 * 1024 * 1024;
+export const MAX_FOTOS_POR_ENVIO = 10;
+
+const MAX_LEGENDA = 255;
+const FOTO_MAX_PX = 2000;
+const THUMB_LARGURA = 400;
+const THUMB_ALTURA = 300;
+
+function fotoError(message) {
+  const err = new Error(message);
+  err.name = "FotoError";
+  return err;
+}
+
+function toFoto(row) {
+  return {
+    id: row.id,
+    url: `${FOTOS_URL}/original/${row.arquivo}`,
+    thumb: `${FOTOS_URL}/thumb/${row.arquivo}`,
+    legenda: row.legenda || null,
+    largura: row.largura,
+    altura: row.altura,
+    enviado_por: row.enviado_por,
+    criado_em: row.criado_em,
+  };
+}
+
+async function removerArquivos(arquivo) {
+  for (const dir of [ORIGINAL_DIR, THUMB_DIR]) {
+    await fs.promises.unlink(path.join(dir, arquivo)).catch(() => {});
+  }
+}
+
+/**
+ * Grava uma foto (buffer do upload) para o cliente. Retorna a foto ou null se
+ * o cliente não existir; lança FotoError se o arquivo não for uma imagem.
+ */
+export async function addFoto(clienteId, buffer, { nomeOriginal = null, legenda = null, usuarioId = null } = {}) {
+  legenda = String(legenda ?? "").trim() || null;
+  if (legenda && legenda.length > MAX_LEGENDA) throw fotoError(`Legenda muito longa (máx. ${MAX_LEGENDA} caracteres)`);
+
+  const [clientes] = await db.query(`SELECT id FROM clientes WHERE id = ?`, [clienteId]);
+  if (!clientes.length) return null;
+
+  await fs.promises.mkdir(ORIGINAL_DIR, { recursive: true });
+  await fs.promises.mkdir(THUMB_DIR, { recursive: true });
+
+  const arquivo = `${clienteId}-${crypto.randomUUID()}.jpg`;
+  let info;
+  try {
+    // rotate() sem argumentos aplica a orientação do EXIF antes de descartá-lo
+    const imagem = sharp(buffer, { failOn: "error" }).rotate();
+    info = await imagem
+      .clone()
+      .resize({ width: FOTO_MAX_PX, height: FOTO_MAX_PX, fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toFile(path.join(ORIGINAL_DIR, arquivo));
+    await imagem
+      .clone()
+      .resize({ width: THUMB_LARGURA, height: THUMB_ALTURA, fit: "cover" })
+      .jpeg({ quality: 75 })
+      .toFile(path.join(THUMB_DIR, arquivo));
+  } catch (err) {
+    await removerArquivos(arquivo);
+    throw fotoError(`Arquivo "${nomeOriginal || "sem nome"}" não é uma imagem válida`);
+  }
+
+  let res;
+  try {
+    [res] = await db.query(
+      `INSERT INTO fotos (cliente_id, arquivo, nome_original, legenda, largura, altura, bytes, enviado_por)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [clienteId, arquivo, nomeOriginal, legenda, info.width, info.height, info.size, usuarioId]
+    );
+  } catch (err) {
+    // sem registro no banco os arquivos ficariam órfãos no disco
+    await removerArquivos(arquivo);
+    throw err;
+  }
+
+  const [rows] = await db.query(`SELECT * FROM fotos WHERE id = ?`, [res.insertId]);
+  return toFoto(rows[0]);
+}
+
+/**
+ * Apaga a foto (registro e arquivos). `podeApagar(foto)` decide a permissão
+ * (ex.: admin ou quem enviou). Retorna "apagada", "proibido" ou null se a
+ * foto não existir para esse cliente.
+ */
+export async function deleteFoto(clienteId, fotoId, podeApagar = () => true) {
+  const [rows] = await db.query(`SELECT * FROM fotos WHERE id = ? AND cliente_id = ?`, [fotoId, clienteId]);
+  if (!rows.length) return null;
+  if (!podeApagar(toFoto(rows[0]))) return "proibido";
+
+  await db.query(`DELETE FROM fotos WHERE id = ?`, [fotoId]);
+  await removerArquivos(rows[0].arquivo);
+  return "apagada";
+}
+
+export async function listFotos(clienteId) {
+  const [rows] = await db.query(`SELECT * FROM fotos WHERE cliente_id = ? ORDER BY criado_em, id`, [clienteId]);
+  return rows.map(toFoto);
+}
+
+/**
+ * Anexa { fotos: [{ id, url, thumb, legenda, ... }] } a cada cliente.
+ */
+export async function attachFotos(rows) {
+  if (!rows.length) return rows;
+
+  try {
+    const [fotos] = await db.query(
+      `SELECT * FROM fotos WHERE cliente_id IN (?) ORDER BY criado_em, id`,
+      [rows.map((r) => r.id)]
+    );
+
+    const porCliente = new Map();
+    fotos.forEach((f) => {
+      if (!porCliente.has(f.cliente_id)) porCliente.set(f.cliente_id, []);
+      porCliente.get(f.cliente_id).push(toFoto(f));
+    });
+
+    return rows.map((r) => ({ ...r, fotos: porCliente.get(r.id) || [] }));
+  } catch (err) {
+    console.warn("Erro ao buscar fotos:", err.message || err);
+    return rows.map((r) => ({ ...r, fotos: [] }));
+  }
+}
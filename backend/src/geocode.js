@@ -1,285 +1,79 @@
-import axios from "axios";
 import dotenv from "dotenv";
+import { buildProviderChain } from "./geocoders/index.js";
+import { sleep } from "./geocoders/helpers.js";
 dotenv.config();
 
-const GOOGLE_KEY = process.env.GOOGLE_MAPS_KEY;
-
-// ===== helpers =====
-const sleep = async (ms, reason = "") => {
-  const sec = (ms / 1000).toFixed(1);
-  console.log(`⏳ Aguardando ${sec}s ${reason ? `→ ${reason}` : ""}`);
-  return new Promise((r) => setTimeout(r, ms));
-};
-
-function isRetryableNetworkError(err) {
-  const code = err?.code;
-  const msg = (err?.message || "").toLowerCase();
-
-  return (
-    code === "ECONNRESET" ||
-    code === "ECONNABORTED" ||
-    code === "ETIMEDOUT" ||
-    msg.includes("socket hang up") ||
-    msg.includes("timeout") ||
-    msg.includes("network")
-  );
-}
-
-// ===== configs =====
-const NOMINATIM_HOSTS = [
-  "https://nominatim.openstreetmap.org"
-];
-
-// intervalo entre chamadas ao nominatim (1.5s ainda é agressivo)
-const BASE_DELAY_MS = 3000; // 3s
-
-const axiosNominatim = axios.create({
-  timeout: 30000,
-  headers: {
-    "User-Agent": "EAATA-Mapa/1.0 (contato@eaata.pro)",
-    Accept: "application/json",
-  },
-  validateStatus: (status) => status >= 200 && status < 500,
-});
-
-const STATE_NAME_TO_UF = {
-  'Acre': 'AC',
-  'Alagoas': 'AL',
-  'Amapá': 'AP',
-  'Amazonas': 'AM',
-  'Bahia': 'BA',
-  'Ceará': 'CE',
-  'Distrito Federal': 'DF',
-  'Espírito Santo': 'ES',
-  'Goiás': 'GO',
-  'Maranhão': 'MA',
-  'Mato Grosso': 'MT',
-  'Mato Grosso do Sul': 'MS',
-  'Minas Gerais': 'MG',
-  'Pará': 'PA',
-  'Paraíba': 'PB',
-  'Paraná': 'PR',
-  'Pernambuco': 'PE',
-  'Piauí': 'PI',
-  'Rio de Janeiro': 'RJ',
-  'Rio Grande do Norte': 'RN',
-  'Rio Grande do Sul': 'RS',
-  'Rondônia': 'RO',
-  'Roraima': 'RR',
-  'Santa Catarina': 'SC',
-  'São Paulo': 'SP',
-  'Sergipe': 'SE',
-  'Tocantins': 'TO'
-};
-
-function mapStateToUF(nameOrCode) {
-  if (!nameOrCode) return null;
-  const v = String(nameOrCode).trim();
-  if (/^[A-Z]{2}$/.test(v)) return v.toUpperCase();
-  // try direct match
-  const found = STATE_NAME_TO_UF[v] || STATE_NAME_TO_UF[capitalizeWords(v)];
-  return found || null;
-}
-
-function capitalizeWords(s) {
-  return s.replace(/\w\S*/g, (txt) => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase());
-}
-
-function extractNormalizedFromNominatim(item, fallbackCep) {
-  const addr = item?.address || {};
-  const uf = mapStateToUF(addr.state_code || addr.state);
-  const cidade = addr.city || addr.town || addr.village || addr.municipality || addr.county || null;
-  const bairro = addr.suburb || addr.neighbourhood || addr.hamlet || null;
-  const road = addr.road || addr.pedestrian || addr.footway || null;
-  const house = addr.house_number || null;
-  const logradouro = [road, house].filter(Boolean).join(" ") || null;
-  const cep = addr.postcode || fallbackCep || null;
-  const pais = addr.country || 'Brasil';
-
-  return { uf, cidade, bairro, logradouro, cep, pais };
-}
-
-async function viaCepGet(cepLimpo, tries = 3) {
-  const url = `https://viacep.com.br/ws/${cepLimpo}/json/`;
-
-  for (let i = 0; i < tries; i++) {
-    try {
-      await sleep(800 * (i + 1), "rate-limit ViaCEP");
-      return await axios.get(url, { timeout: 20000 });
-    } catch (err) {
-      const code = err?.code || err?.message;
-      console.log(`⚠️ ViaCEP falhou (${i + 1}/${tries}): ${code}`);
-
-      if (isRetryableNetworkError(err)) {
-        await sleep(2000 * (i + 1), `retry ViaCEP ${code}`);
-        continue;
-      }
-
-      throw err;
-    }
+// pausa geral entre geocodes para não ficar “martelando” (além do rate-limit de cada provedor)
+const GEOCODE_PAUSE_MS = Number(process.env.GEOCODE_PAUSE_MS ?? 1500);
+
+/**
+ * Contrato de um provedor (ver src/geocoders/):
+ *   { name, async resolve(req) }
+ *
+ *   req = { endereco, cep, query, normalized }
+ *     endereco   → texto original montado a partir do Odoo
+ *     query      → melhor texto disponível até agora (ex.: endereço do ViaCEP)
+ *     normalized → campos normalizados acumulados (uf, cidade, bairro, ...)
+ *
+ *   resolve() retorna:
+ *     { lat, lng, normalized }  → coordenadas encontradas; a cadeia para aqui
+ *     { query?, normalized? }   → só enriquece a requisição para os próximos
+ *     null                      → nada encontrado; segue para o próximo
+ */
+let chain = null;
+
+function getChain() {
+  if (!chain) {
+    chain = buildProviderChain();
+    console.log(`🧩 Cadeia de geocoding: ${chain.map((p) => p.name).join(" → ") || "(vazia)"}`);
   }
-
-  return null;
+  return chain;
 }
 
-async function nominatimSearch(query, tries = 4) {
-  for (const base of NOMINATIM_HOSTS) {
-    for (let i = 0; i < tries; i++) {
-      console.log(`🌍 Nominatim (${base}) tentativa ${i + 1}/${tries}`);
-
-      // sempre espera um pouco entre chamadas
-      await sleep(BASE_DELAY_MS, "rate-limit Nominatim");
-
-      // request address details so we can extract cidade/uf/bairro/logradouro
-      const url =
-        `${base}/search?format=json&limit=1&countrycodes=br&addressdetails=1` +
-        `&q=${encodeURIComponent(query)}`;
-
-      try {
-        const res = await axiosNominatim.get(url);
-
-        if (res.status === 200 && Array.isArray(res.data)) {
-          console.log("✅ Nominatim respondeu com sucesso");
-          return res;
-        }
-
-        if (res.status === 429 || res.status === 503) {
-          const backoff = 4000 * (i + 1); // 4s, 8s, 12s...
-          await sleep(backoff, `Nominatim retornou ${res.status}`);
-          continue;
-        }
-
-        console.log(`⚠️ Nominatim retornou status ${res.status} (trocando host)`);
-        break; // troca host
-      } catch (err) {
-        const code = err?.code || err?.message;
-        console.log(`⚠️ Falha de rede no Nominatim: ${code}`);
-
-        // Requisito: se ETIMEDOUT ou ECONNREFUSED, parar a sincronização (propagar erro fatal)
-        if (code === "ETIMEDOUT" || code === "ECONNREFUSED") {
-          const fatal = new Error(`Falha de rede no Nominatim: ${code}`);
-          fatal.name = "NominatimNetworkError";
-          fatal.code = code;
-          throw fatal;
-        }
-
-        if (isRetryableNetworkError(err)) {
-          const backoff = 4000 * (i + 1);
-          await sleep(backoff, `erro de rede ${code}`);
-          continue;
-        }
-
-        break; // troca host
-      }
-    }
-  }
-
-  console.log("❌ Todos os hosts Nominatim falharam");
-  return null;
+function logProviderError(provider, err) {
+  console.error(`🔥 Erro no geocoder ${provider.name}:`, {
+    message: err?.message,
+    code: err?.code,
+    syscall: err?.syscall,
+    hostname: err?.hostname,
+    address: err?.address,
+    port: err?.port,
+    status: err?.response?.status,
+    data: err?.response?.data,
+  });
 }
 
 export default async function geocode(endereco, cep) {
-  try {
-    // pausa geral para não ficar “martelando” (além da do nominatimSearch)
-    await sleep(1500, "pausa entre chamadas");
-
-    // 1) ViaCEP (se tiver CEP válido)
-    if (cep && cep.replace(/\D/g, "").length === 8) {
-      const cepLimpo = cep.replace(/\D/g, "");
-      console.log(`📮 Consultando ViaCEP: ${cepLimpo}`);
-
-      const via = await viaCepGet(cepLimpo);
-
-      if (via?.data && !via.data.erro) {
-        const logradouro = via.data.logradouro || "";
-        const bairro = via.data.bairro || "";
-        const cidade = via.data.localidade || "";
-        const estado = via.data.uf || "";
-
-        const enderecoViaCep = `${logradouro}, ${bairro}, ${cidade}, ${estado}, Brasil`
-          .replace(/\s+/g, " ")
-          .replace(/,\s*,/g, ",")
-          .trim();
+  if (GEOCODE_PAUSE_MS > 0) await sleep(GEOCODE_PAUSE_MS, "pausa entre chamadas");
 
-        console.log(`🏠 Endereço normalizado: ${enderecoViaCep}`);
+  const req = {
+    endereco: endereco || "",
+    cep: String(cep || "").replace(/\D/g, ""),
+    query: endereco || "",
+    normalized: null,
+  };
 
-        // 2) Google (opcional)
-        const normalizedVia = {
-          uf: estado || null,
-          cidade: cidade || null,
-          bairro: bairro || null,
-          logradouro: logradouro || null,
-          cep: cepLimpo,
-          pais: 'Brasil',
+  for (const provider of getChain()) {
+    try {
+      const result = await provider.resolve({ ...req });
+      if (!result) continue;
+
+      if (result.lat != null && result.lng != null) {
+        return {
+          lat: result.lat,
+          lng: result.lng,
+          normalized: result.normalized || req.normalized,
+          provider: provider.name,
         };
-
-        if (GOOGLE_KEY) {
-          console.log("🧭 Tentando Google Geocoding");
-          const gUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-            enderecoViaCep
-          )}&key=${GOOGLE_KEY}`;
-
-          const gRes = await axios.get(gUrl, { timeout: 30000 });
-
-          if (gRes.data?.results?.length > 0) {
-            console.log("✅ Google retornou coordenadas");
-            const loc = gRes.data.results[0].geometry.location;
-            return { lat: loc.lat, lng: loc.lng, normalized: normalizedVia };
-          }
-        }
-        // 3) Nominatim usando o endereço do ViaCEP
-        const nRes = await nominatimSearch(enderecoViaCep);
-
-        if (nRes?.data?.length > 0) {
-          console.log("📍 Coordenadas obtidas via Nominatim");
-          const item = nRes.data[0];
-          const norm = extractNormalizedFromNominatim(item, cepLimpo);
-          // merge with viacep normalized to prefer explicit fields
-          const merged = Object.assign({}, normalizedVia, norm);
-          return {
-            lat: parseFloat(item.lat),
-            lng: parseFloat(item.lon),
-            normalized: merged,
-          };
-        }
       }
-    }
-
-    // 4) Fallback: texto original
-    if (!endereco || endereco.trim().length < 8) {
-      console.log("⚠️ Endereço muito curto, ignorando");
-      return null;
-    }
-
-    await sleep(1500, "pausa antes do fallback");
-    console.log(`📝 Geocoding fallback: ${endereco}`);
 
-    const fRes = await nominatimSearch(endereco);
-
-    if (fRes?.data?.length > 0) {
-      console.log("📍 Coordenadas obtidas via fallback");
-      const item = fRes.data[0];
-      const norm = extractNormalizedFromNominatim(item, cep);
-      return {
-        lat: parseFloat(item.lat),
-        lng: parseFloat(item.lon),
-        normalized: norm,
-      };
+      if (result.query) req.query = result.query;
+      if (result.normalized) req.normalized = { ...req.normalized, ...result.normalized };
+    } catch (err) {
+      logProviderError(provider, err);
     }
-
-    console.log("❌ Nenhuma coordenada encontrada");
-    return null;
-  } catch (err) {
-    console.error("🔥 Erro no geocode:", {
-      message: err?.message,
-      code: err?.code,
-      syscall: err?.syscall,
-      hostname: err?.hostname,
-      address: err?.address,
-      port: err?.port,
-      status: err?.response?.status,
-      data: err?.response?.data,
-    });
-    return null;
   }
+
+  console.log("❌ Nenhuma coordenada encontrada");
+  return null;
 }
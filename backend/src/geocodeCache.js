@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import db from "./db.js";
+import { normalizeAddress } from "./geocoders/helpers.js";
+
+/** =======================
+ * Cache persistente de geocoding
+ * -----------------------
+ * Chave = endereço normalizado (sem acento, minúsculo, espaços colapsados) + CEP.
+ * Se o endereço do parceiro não mudou no Odoo, a chave é a mesma e os
+ * provedores (ViaCEP / Google / Nominatim) não são chamados de novo.
+ * ======================= */
+function normalizeCep(cep) {
+  return String(cep || "").replace(/\D/g, "");
+}
+
+export function buildCacheKey(endereco, cep) {
+  const raw = `${normalizeAddress(endereco)}|${normalizeCep(cep)}`;
+  return crypto.createHash("sha1").update(raw).digest("hex");
+}
+
+function parseNormalized(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Retorna o resultado em cache no mesmo formato do geocode()
+ * ({ lat, lng, normalized, provider }) ou null se não houver.
+ */
+export async function getCachedGeocode(endereco, cep) {
+  const [rows] = await db.query(
+    `SELECT latitude, longitude, normalized, provider FROM geocode_cache WHERE cache_key = ? LIMIT 1`,
+    [buildCacheKey(endereco, cep)]
+  );
+
+  const row = rows && rows[0];
+  if (!row) return null;
+
+  return {
+    lat: Number(row.latitude),
+    lng: Number(row.longitude),
+    normalized: parseNormalized(row.normalized),
+    provider: row.provider,
+    cached: true,
+  };
+}
+
+export async function saveGeocodeCache(endereco, cep, geo) {
+  if (!geo || geo.lat == null || geo.lng == null) return;
+
+  await db.query(
+    `INSERT INTO geocode_cache (cache_key, endereco_normalizado, cep, latitude, longitude, normalized, provider)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       latitude = VALUES(latitude),
+       longitude = VALUES(longitude),
+       normalized = VALUES(normalized),
+       provider = VALUES(provider)`,
+    [
+      buildCacheKey(endereco, cep),
+      normalizeAddress(endereco).slice(0, 512),
+      normalizeCep(cep) || null,
+      geo.lat,
+      geo.lng,
+      geo.normalized ? JSON.stringify(geo.normalized) : null,
+      geo.provider || null,
+    ]
+  );
+}
+
+/**
+ * Invalida entradas do cache.
+ * - { id_odoo }: remove a entrada do endereço atual daquele cliente (quem
+ *   chama reprocessa o parceiro: a incremental não o pega sozinha)
+ * - { cep }: remove todas as entradas com aquele CEP
+ * - { todos: true }: limpa o cache inteiro
+ * Retorna o número de entradas removidas.
+ */
+export async function invalidateGeocodeCache({ id_odoo, cep, todos = false } = {}) {
+  if (todos) {
+    const [res] = await db.query(`DELETE FROM geocode_cache`);
+    return res.affectedRows;
+  }
+
+  if (id_odoo) {
+    const [rows] = await db.query(
+      `SELECT endereco_completo, cep FROM clientes WHERE id_odoo = ? LIMIT 1`,
+      [id_odoo]
+    );
+    const cliente = rows && rows[0];
+    if (!cliente || !cliente.endereco_completo) return 0;
+
+    const [res] = await db.query(`DELETE FROM geocode_cache WHERE cache_key = ?`, [
+      buildCacheKey(cliente.endereco_completo, cliente.cep),
+    ]);
+    return res.affectedRows;
+  }
+
+  const cepLimpo = normalizeCep(cep);
+  if (cepLimpo) {
+    const [res] = await db.query(`DELETE FROM geocode_cache WHERE cep = ?`, [cepLimpo]);
+    return res.affectedRows;
+  }
+
+  return 0;
+}
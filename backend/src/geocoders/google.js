@@ -0,0 +1,31 @@
+import axios from "axios";
+
+/**
+ * Google Geocoding API. Só entra na cadeia se houver chave (GOOGLE_MAPS_KEY).
+ */
+export default function createGoogleProvider({
+  name = "google",
+  key,
+  url = "https://maps.googleapis.com/maps/api/geocode/json",
+  timeout = 30000,
+} = {}) {
+  return {
+    name,
+
+    async resolve({ query, normalized }) {
+      if (!key || !query) return null;
+
+      console.log("🧭 Tentando Google Geocoding");
+      const gUrl = `${url}?address=${encodeURIComponent(query)}&key=${key}`;
+      const gRes = await axios.get(gUrl, { timeout });
+
+      if (gRes.data?.results?.length > 0) {
+        console.log("✅ Google retornou coordenadas");
+        const loc = gRes.data.results[0].geometry.location;
+        return { lat: loc.lat, lng: loc.lng, normalized: normalized || null };
+      }
+
+      return null;
+    },
+  };
+}
@@ -0,0 +1,87 @@
+// ===== helpers compartilhados entre os provedores =====
+export const sleep = async (ms, reason = "") => {
+  const sec = (ms / 1000).toFixed(1);
+  console.log(`⏳ Aguardando ${sec}s ${reason ? `→ ${reason}` : ""}`);
+  return new Promise((r) => setTimeout(r, ms));
+};
+
+export function isRetryableNetworkError(err) {
+  const code = err?.code;
+  const msg = (err?.message || "").toLowerCase();
+
+  return (
+    code === "ECONNRESET" ||
+    code === "ECONNABORTED" ||
+    code === "ETIMEDOUT" ||
+    msg.includes("socket hang up") ||
+    msg.includes("timeout") ||
+    msg.includes("network")
+  );
+}
+
+const STATE_NAME_TO_UF = {
+  'Acre': 'AC',
+  'Alagoas': 'AL',
+  'Amapá': 'AP',
+  'Amazonas': 'AM',
+  'Bahia': 'BA',
+  'Ceará': 'CE',
+  'Distrito Federal': 'DF',
+  'Espírito Santo': 'ES',
+  'Goiás': 'GO',
+  'Maranhão': 'MA',
+  'Mato Grosso': 'MT',
+  'Mato Grosso do Sul': 'MS',
+  'Minas Gerais': 'MG',
+  'Pará': 'PA',
+  'Paraíba': 'PB',
+  'Paraná': 'PR',
+  'Pernambuco': 'PE',
+  'Piauí': 'PI',
+  'Rio de Janeiro': 'RJ',
+  'Rio Grande do Norte': 'RN',
+  'Rio Grande do Sul': 'RS',
+  'Rondônia': 'RO',
+  'Roraima': 'RR',
+  'Santa Catarina': 'SC',
+  'São Paulo': 'SP',
+  'Sergipe': 'SE',
+  'Tocantins': 'TO'
+};
+
+export function mapStateToUF(nameOrCode) {
+  if (!nameOrCode) return null;
+  const v = String(nameOrCode).trim();
+  if (/^[A-Z]{2}$/.test(v)) return v.toUpperCase();
+  // try direct match
+  const found = STATE_NAME_TO_UF[v] || STATE_NAME_TO_UF[capitalizeWords(v)];
+  return found || null;
+}
+
+function capitalizeWords(s) {
+  return s.replace(/\w\S*/g, (txt) => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase());
+}
+
+export function extractNormalizedFromNominatim(item, fallbackCep) {
+  const addr = item?.address || {};
+  const uf = mapStateToUF(addr.state_code || addr.state);
+  const cidade = addr.city || addr.town || addr.village || addr.municipality || addr.county || null;
+  const bairro = addr.suburb || addr.neighbourhood || addr.hamlet || null;
+  const road = addr.road || addr.pedestrian || addr.footway || null;
+  const house = addr.house_number || null;
+  const logradouro = [road, house].filter(Boolean).join(" ") || null;
+  const cep = addr.postcode || fallbackCep || null;
+  const pais = addr.country || 'Brasil';
+
+  return { uf, cidade, bairro, logradouro, cep, pais };
+}
+
+export function normalizeAddress(endereco) {
+  return String(endereco || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
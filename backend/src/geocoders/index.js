@@ -0,0 +1,111 @@
+import dotenv from "dotenv";
+import createViaCepProvider from "./viacep.js";
+import createGoogleProvider from "./google.js";
+import createNominatimProvider from "./nominatim.js";
+import createPhotonProvider from "./photon.js";
+import createLocalProvider from "./local.js";
+
+dotenv.config();
+
+/**
+ * Configuração da cadeia de geocoding (via .env):
+ *
+ * GEOCODERS=viacep,google,nominatim          ordem da cadeia (padrão)
+ * GEOCODER_<NOME>_ENABLED=false             desliga um provedor sem tirá-lo da lista
+ * GEOCODER_<NOME>_TIMEOUT=15000             timeout por requisição (ms)
+ * GEOCODER_<NOME>_DELAY=0                   pausa entre chamadas (ms), quando o provedor usa
+ *
+ * Provedores disponíveis:
+ * - viacep              normaliza o endereço pelo CEP (sem coordenadas)
+ * - google              precisa de GOOGLE_MAPS_KEY
+ * - nominatim           NOMINATIM_HOSTS (lista separada por vírgula; padrão: openstreetmap.org)
+ * - nominatim-interno   NOMINATIM_INTERNO_URL (Nominatim self-hosted, sem rate-limit por padrão)
+ * - photon              PHOTON_URL (Photon self-hosted)
+ * - local               GEOCODER_LOCAL_FILE (arquivo JSON estático)
+ */
+const DEFAULT_CHAIN = "viacep,google,nominatim";
+
+const FACTORIES = {
+  viacep: (opts) => createViaCepProvider(opts),
+  google: (opts) =>
+    createGoogleProvider({ ...opts, key: process.env.GOOGLE_MAPS_KEY }),
+  nominatim: (opts) =>
+    createNominatimProvider({
+      ...opts,
+      hosts: splitList(process.env.NOMINATIM_HOSTS) || undefined,
+    }),
+  "nominatim-interno": (opts) =>
+    createNominatimProvider({
+      delayMs: 0,
+      ...opts,
+      hosts: splitList(process.env.NOMINATIM_INTERNO_URL) || [],
+    }),
+  photon: (opts) => createPhotonProvider({ ...opts, url: process.env.PHOTON_URL }),
+  local: (opts) => createLocalProvider({ ...opts, file: process.env.GEOCODER_LOCAL_FILE }),
+};
+
+// pré-requisito de cada provedor: sem ele o provedor fica desligado
+const REQUIREMENTS = {
+  google: () => !!process.env.GOOGLE_MAPS_KEY,
+  "nominatim-interno": () => !!process.env.NOMINATIM_INTERNO_URL,
+  photon: () => !!process.env.PHOTON_URL,
+  local: () => !!process.env.GEOCODER_LOCAL_FILE,
+};
+
+function splitList(value) {
+  const list = String(value || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+function envKey(name, suffix) {
+  return `GEOCODER_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_${suffix}`;
+}
+
+function readNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function providerOptions(name) {
+  const opts = {};
+  const timeout = readNumber(process.env[envKey(name, "TIMEOUT")]);
+  const delayMs = readNumber(process.env[envKey(name, "DELAY")]);
+  if (timeout !== undefined) opts.timeout = timeout;
+  if (delayMs !== undefined) opts.delayMs = delayMs;
+  return opts;
+}
+
+function isEnabled(name) {
+  const flag = String(process.env[envKey(name, "ENABLED")] ?? "").trim().toLowerCase();
+  if (["0", "false", "no", "off"].includes(flag)) return false;
+  const requirement = REQUIREMENTS[name];
+  return requirement ? requirement() : true;
+}
+
+/**
+ * Monta a lista ordenada de provedores habilitados.
+ * Nomes desconhecidos em GEOCODERS são ignorados com aviso.
+ */
+export function buildProviderChain() {
+  const names = splitList(process.env.GEOCODERS) || splitList(DEFAULT_CHAIN);
+  const chain = [];
+
+  for (const raw of names) {
+    const name = raw.toLowerCase();
+    const factory = FACTORIES[name];
+
+    if (!factory) {
+      console.warn(`⚠️ Geocoder desconhecido em GEOCODERS: ${raw}`);
+      continue;
+    }
+    if (!isEnabled(name)) continue;
+
+    chain.push(factory({ name, ...providerOptions(name) }));
+  }
+
+  return chain;
+}
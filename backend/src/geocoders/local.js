@@ -0,0 +1,59 @@
+import fs from "fs";
+import { normalizeAddress } from "./helpers.js";
+
+/**
+ * Provedor local baseado em arquivo JSON estático (útil para testes e para
+ * fixar coordenadas conhecidas sem depender de rede).
+ *
+ * Formato do arquivo (lista):
+ * [
+ *   { "cep": "01001000", "lat": -23.55, "lng": -46.63, "normalized": { ... } },
+ *   { "endereco": "Rua X, 123, Sao Paulo, SP", "lat": -23.5, "lng": -46.6 }
+ * ]
+ * Busca primeiro pelo endereço (normalizado) e depois pelo CEP.
+ */
+export default function createLocalProvider({ name = "local", file } = {}) {
+  let index = null;
+
+  function loadIndex() {
+    if (index) return index;
+
+    index = { byAddress: new Map(), byCep: new Map() };
+    if (!file) return index;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const entry of Array.isArray(data) ? data : []) {
+        if (entry?.lat == null || entry?.lng == null) continue;
+        if (entry.endereco) index.byAddress.set(normalizeAddress(entry.endereco), entry);
+        if (entry.cep) index.byCep.set(String(entry.cep).replace(/\D/g, ""), entry);
+      }
+      console.log(`📂 Geocoder local carregado: ${index.byAddress.size} endereço(s), ${index.byCep.size} CEP(s)`);
+    } catch (err) {
+      console.warn(`⚠️ Não foi possível ler o arquivo do geocoder local (${file}):`, err.message || err);
+    }
+
+    return index;
+  }
+
+  return {
+    name,
+
+    async resolve({ endereco, cep, query, normalized }) {
+      const { byAddress, byCep } = loadIndex();
+
+      const entry =
+        byAddress.get(normalizeAddress(query)) ||
+        byAddress.get(normalizeAddress(endereco)) ||
+        byCep.get(String(cep || "").replace(/\D/g, ""));
+
+      if (!entry) return null;
+
+      return {
+        lat: Number(entry.lat),
+        lng: Number(entry.lng),
+        normalized: entry.normalized || normalized || null,
+      };
+    },
+  };
+}
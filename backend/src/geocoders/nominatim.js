@@ -0,0 +1,125 @@
+import axios from "axios";
+import {
+  sleep,
+  isRetryableNetworkError,
+  extractNormalizedFromNominatim,
+} from "./helpers.js";
+
+/**
+ * Nominatim (público ou self-hosted). A mesma implementação serve para
+ * "nominatim" (openstreetmap.org, com rate-limit agressivo) e para um
+ * Nominatim interno, que normalmente roda com delayMs = 0.
+ *
+ * Tenta primeiro a query enriquecida (ex.: endereço do ViaCEP) e, se não
+ * achar nada, o texto original do Odoo (fallback).
+ */
+export default function createNominatimProvider({
+  name = "nominatim",
+  hosts = ["https://nominatim.openstreetmap.org"],
+  timeout = 30000,
+  delayMs = 3000,
+  tries = 4,
+  userAgent = "EAATA-Mapa/1.0 (contato@eaata.pro)",
+} = {}) {
+  const client = axios.create({
+    timeout,
+    headers: {
+      "User-Agent": userAgent,
+      Accept: "application/json",
+    },
+    validateStatus: (status) => status >= 200 && status < 500,
+  });
+
+  async function nominatimSearch(query) {
+    for (const host of hosts) {
+      const base = host.replace(/\/+$/, "");
+
+      for (let i = 0; i < tries; i++) {
+        console.log(`🌍 Nominatim (${base}) tentativa ${i + 1}/${tries}`);
+
+        // sempre espera um pouco entre chamadas
+        if (delayMs > 0) await sleep(delayMs, `rate-limit ${name}`);
+
+        // request address details so we can extract cidade/uf/bairro/logradouro
+        const url =
+          `${base}/search?format=json&limit=1&countrycodes=br&addressdetails=1` +
+          `&q=${encodeURIComponent(query)}`;
+
+        try {
+          const res = await client.get(url);
+
+          if (res.status === 200 && Array.isArray(res.data)) {
+            console.log("✅ Nominatim respondeu com sucesso");
+            return res;
+          }
+
+          if (res.status === 429 || res.status === 503) {
+            const backoff = 4000 * (i + 1); // 4s, 8s, 12s...
+            await sleep(backoff, `Nominatim retornou ${res.status}`);
+            continue;
+          }
+
+          console.log(`⚠️ Nominatim retornou status ${res.status} (trocando host)`);
+          break; // troca host
+        } catch (err) {
+          const code = err?.code || err?.message;
+          console.log(`⚠️ Falha de rede no Nominatim: ${code}`);
+
+          // Requisito: se ETIMEDOUT ou ECONNREFUSED, parar a sincronização (propagar erro fatal)
+          if (code === "ETIMEDOUT" || code === "ECONNREFUSED") {
+            const fatal = new Error(`Falha de rede no Nominatim: ${code}`);
+            fatal.name = "NominatimNetworkError";
+            fatal.code = code;
+            throw fatal;
+          }
+
+          if (isRetryableNetworkError(err)) {
+            const backoff = 4000 * (i + 1);
+            await sleep(backoff, `erro de rede ${code}`);
+            continue;
+          }
+
+          break; // troca host
+        }
+      }
+    }
+
+    console.log("❌ Todos os hosts Nominatim falharam");
+    return null;
+  }
+
+  return {
+    name,
+
+    async resolve({ endereco, cep, query, normalized }) {
+      const queries = [...new Set([query, endereco].filter(Boolean))];
+
+      for (const q of queries) {
+        const isFallback = q !== query;
+
+        if (q.trim().length < 8) {
+          console.log("⚠️ Endereço muito curto, ignorando");
+          continue;
+        }
+
+        if (isFallback) console.log(`📝 Geocoding fallback: ${q}`);
+
+        const res = await nominatimSearch(q);
+        if (!(res?.data?.length > 0)) continue;
+
+        console.log(`📍 Coordenadas obtidas via ${name}${isFallback ? " (fallback)" : ""}`);
+        const item = res.data[0];
+        const norm = extractNormalizedFromNominatim(item, normalized?.cep || cep);
+
+        return {
+          lat: parseFloat(item.lat),
+          lng: parseFloat(item.lon),
+          // merge with viacep normalized to prefer explicit fields
+          normalized: !isFallback && normalized ? Object.assign({}, normalized, norm) : norm,
+        };
+      }
+
+      return null;
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import axios from "axios";
+import { mapStateToUF } from "./helpers.js";
+
+/**
+ * Photon (komoot) self-hosted. Resposta em GeoJSON:
+ * features[].geometry.coordinates = [lng, lat], features[].properties = endereço.
+ */
+export default function createPhotonProvider({
+  name = "photon",
+  url,
+  timeout = 15000,
+} = {}) {
+  function extractNormalized(props, fallbackCep) {
+    const logradouro = [props.street || props.name, props.housenumber].filter(Boolean).join(" ") || null;
+
+    return {
+      uf: mapStateToUF(props.state),
+      cidade: props.city || props.county || null,
+      bairro: props.district || props.locality || null,
+      logradouro,
+      cep: props.postcode || fallbackCep || null,
+      pais: props.country || "Brasil",
+    };
+  }
+
+  return {
+    name,
+
+    async resolve({ endereco, cep, query, normalized }) {
+      if (!url) return null;
+
+      const queries = [...new Set([query, endereco].filter(Boolean))];
+      const base = url.replace(/\/+$/, "");
+
+      for (const q of queries) {
+        console.log(`🌍 Photon (${base}): ${q}`);
+        const res = await axios.get(`${base}/api`, {
+          params: { q, limit: 5 },
+          timeout,
+        });
+
+        const features = Array.isArray(res.data?.features) ? res.data.features : [];
+        const item = features.find((f) => String(f?.properties?.countrycode || "").toUpperCase() === "BR");
+        if (!item) continue;
+
+        const [lng, lat] = item.geometry.coordinates;
+        const norm = extractNormalized(item.properties || {}, normalized?.cep || cep);
+
+        console.log(`📍 Coordenadas obtidas via ${name}`);
+        return {
+          lat: Number(lat),
+          lng: Number(lng),
+          normalized: q === query && normalized ? Object.assign({}, normalized, norm) : norm,
+        };
+      }
+
+      return null;
+    },
+  };
+}
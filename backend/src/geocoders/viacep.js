@@ -0,0 +1,74 @@
+import axios from "axios";
+import { sleep, isRetryableNetworkError } from "./helpers.js";
+
+/**
+ * ViaCEP não devolve coordenadas: só normaliza o endereço a partir do CEP.
+ * O resultado (query + normalized) é repassado aos próximos provedores da cadeia.
+ */
+export default function createViaCepProvider({
+  name = "viacep",
+  url = "https://viacep.com.br/ws",
+  timeout = 20000,
+  delayMs = 800,
+  tries = 3,
+} = {}) {
+  async function viaCepGet(cepLimpo) {
+    const endpoint = `${url.replace(/\/+$/, "")}/${cepLimpo}/json/`;
+
+    for (let i = 0; i < tries; i++) {
+      try {
+        await sleep(delayMs * (i + 1), "rate-limit ViaCEP");
+        return await axios.get(endpoint, { timeout });
+      } catch (err) {
+        const code = err?.code || err?.message;
+        console.log(`⚠️ ViaCEP falhou (${i + 1}/${tries}): ${code}`);
+
+        if (isRetryableNetworkError(err)) {
+          await sleep(2000 * (i + 1), `retry ViaCEP ${code}`);
+          continue;
+        }
+
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    name,
+
+    async resolve({ cep }) {
+      const cepLimpo = String(cep || "").replace(/\D/g, "");
+      if (cepLimpo.length !== 8) return null;
+
+      console.log(`📮 Consultando ViaCEP: ${cepLimpo}`);
+      const via = await viaCepGet(cepLimpo);
+      if (!via?.data || via.data.erro) return null;
+
+      const logradouro = via.data.logradouro || "";
+      const bairro = via.data.bairro || "";
+      const cidade = via.data.localidade || "";
+      const estado = via.data.uf || "";
+
+      const enderecoViaCep = `${logradouro}, ${bairro}, ${cidade}, ${estado}, Brasil`
+        .replace(/\s+/g, " ")
+        .replace(/,\s*,/g, ",")
+        .trim();
+
+      console.log(`🏠 Endereço normalizado: ${enderecoViaCep}`);
+
+      return {
+        query: enderecoViaCep,
+        normalized: {
+          uf: estado || null,
+          cidade: cidade || null,
+          bairro: bairro || null,
+          logradouro: logradouro || null,
+          cep: cepLimpo,
+          pais: "Brasil",
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,121 @@
+import db from "./db.js";
+
+/** =======================
+ * Histórico de alterações dos clientes
+ * -----------------------
+ * Cada linha de clientes_historico é um campo que mudou, com valor antigo e
+ * novo, a origem (sync | usuario) e quando. Além das colunas de clientes:
+ * - criado: cliente novo (valor_novo = nome)
+ * - coordenadas: "lat, lng" (6 casas, para não registrar ruído de arredondamento)
+ * - localizacao_manual: correção manual ligada/desligada
+ * - equipamentos: lista completa antes/depois ("Nome (2); Outro")
+ * ======================= */
+export const CAMPOS_HISTORICO = [
+  "nome",
+  "telefone",
+  "celular",
+  "email",
+  "site",
+  "logradouro",
+  "numero",
+  "complemento",
+  "bairro",
+  "cidade",
+  "estado",
+  "cep",
+  "pais",
+  "endereco_completo",
+];
+
+const LIMITE_PADRAO = 200;
+
+function texto(value) {
+  return String(value ?? "").trim();
+}
+
+export function coordenadasTexto(lat, lng) {
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+  return `${Number(lat).toFixed(6)}, ${Number(lng).toFixed(6)}`;
+}
+
+export function equipamentosTexto(itens) {
+  const partes = (itens || [])
+    .map((e) => (e.quantidade ? `${e.nome} (${e.quantidade})` : e.nome))
+    .sort((a, b) => a.localeCompare(b, "pt-BR"));
+  return partes.length ? partes.join("; ") : null;
+}
+
+/**
+ * Campos que mudam entre a linha atual de clientes e a nova (mesmas
+ * colunas): [{ campo, antigo, novo }]. Coordenadas viram um item só.
+ */
+export function diffCliente(atual, novo) {
+  const alteracoes = [];
+  for (const campo of CAMPOS_HISTORICO) {
+    if (!(campo in novo)) continue;
+    if (texto(atual[campo]) !== texto(novo[campo])) {
+      alteracoes.push({ campo, antigo: atual[campo] ?? null, novo: novo[campo] ?? null });
+    }
+  }
+
+  if ("latitude" in novo) {
+    const antes = coordenadasTexto(atual.latitude, atual.longitude);
+    const depois = coordenadasTexto(novo.latitude, novo.longitude);
+    if (antes !== depois) alteracoes.push({ campo: "coordenadas", antigo: antes, novo: depois });
+  }
+
+  return alteracoes;
+}
+
+/**
+ * Grava as alterações de um cliente. Autor: { syncRunId } para a
+ * sincronização ou { usuario } (req.usuario) para mudanças feitas no sistema.
+ */
+export async function registrarHistorico(clienteId, alteracoes, { syncRunId = null, usuario = null } = {}) {
+  if (!alteracoes || !alteracoes.length) return;
+
+  const agora = new Date();
+  const origem = usuario ? "usuario" : "sync";
+  const valor = (v) => (v === null || v === undefined ? null : String(v));
+
+  await db.query(
+    `INSERT INTO clientes_historico
+       (cliente_id, campo, valor_antigo, valor_novo, origem, sync_run_id, usuario_id, usuario_nome, alterado_em)
+     VALUES ?`,
+    [
+      alteracoes.map((a) => [
+        clienteId,
+        a.campo,
+        valor(a.antigo),
+        valor(a.novo),
+        origem,
+        syncRunId,
+        usuario?.id ?? null,
+        usuario ? usuario.nome || usuario.email : null,
+        agora,
+      ]),
+    ]
+  );
+}
+
+/**
+ * Histórico do cliente, mais recente primeiro.
+ */
+export async function listHistorico(clienteId, limit = LIMITE_PADRAO) {
+  const [rows] = await db.query(
+    `SELECT * FROM clientes_historico WHERE cliente_id = ? ORDER BY alterado_em DESC, id DESC LIMIT ?`,
+    [clienteId, limit]
+  );
+
+  return rows.map((r) => ({
+    id: r.id,
+    campo: r.campo,
+    antigo: r.valor_antigo,
+    novo: r.valor_novo,
+    origem: r.origem,
+    sync_run_id: r.sync_run_id,
+    autor: r.usuario_nome,
+    autor_id: r.usuario_id,
+    alterado_em: r.alterado_em,
+  }));
+}
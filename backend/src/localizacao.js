@@ -0,0 +1,90 @@
+import db from "./db.js";
+import { coordenadasTexto, registrarHistorico } from "./historico.js";
+
+/** =======================
+ * Correção manual de localização
+ * -----------------------
+ * Quando alguém arrasta o pin (ou usa PUT /clientes/:id/localizacao), o
+ * cliente fica com localizacao_manual = 1 e a sincronização deixa de
+ * sobrescrever latitude/longitude até que a correção seja desfeita.
+ * ======================= */
+
+// Number(null), Number("") e Number(" ") dão 0: sem isso o cliente iria para 0,0
+function toCoord(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || !value.trim()) return NaN;
+  return Number(value);
+}
+
+function isValidCoord(lat, lng) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+/**
+ * Fixa as coordenadas do cliente (id local). Retorna null se o cliente não
+ * existir; lança erro (name = "LocalizacaoError") se as coordenadas forem inválidas.
+ * `usuario` (req.usuario) fica no histórico como autor.
+ */
+export async function setManualLocation(clienteId, latitude, longitude, usuario = null) {
+  const lat = toCoord(latitude);
+  const lng = toCoord(longitude);
+
+  if (!isValidCoord(lat, lng)) {
+    const err = new Error("Coordenadas inválidas");
+    err.name = "LocalizacaoError";
+    throw err;
+  }
+
+  const [rows] = await db.query(
+    `SELECT latitude, longitude, localizacao_manual FROM clientes WHERE id = ? LIMIT 1`,
+    [clienteId]
+  );
+  const anterior = rows && rows[0];
+  if (!anterior) return null;
+
+  await db.query(
+    `UPDATE clientes
+     SET latitude = ?, longitude = ?, localizacao_manual = 1, localizacao_manual_em = NOW()
+     WHERE id = ?`,
+    [lat, lng, clienteId]
+  );
+
+  const alteracoes = [];
+  const antes = coordenadasTexto(anterior.latitude, anterior.longitude);
+  const depois = coordenadasTexto(lat, lng);
+  if (antes !== depois) alteracoes.push({ campo: "coordenadas", antigo: antes, novo: depois });
+  if (Number(anterior.localizacao_manual) !== 1) {
+    alteracoes.push({ campo: "localizacao_manual", antigo: "0", novo: "1" });
+  }
+  await registrarHistorico(clienteId, alteracoes, { usuario });
+
+  return { id: clienteId, latitude: lat, longitude: lng, localizacao_manual: 1 };
+}
+
+/**
+ * Remove a correção manual. Retorna { id, id_odoo } (o id_odoo serve para
+ * disparar a geocodificação de novo) ou null se o cliente não existir.
+ */
+export async function clearManualLocation(clienteId, usuario = null) {
+  const [rows] = await db.query(`SELECT id_odoo, localizacao_manual FROM clientes WHERE id = ? LIMIT 1`, [clienteId]);
+  const cliente = rows && rows[0];
+  if (!cliente) return null;
+
+  await db.query(
+    `UPDATE clientes SET localizacao_manual = 0, localizacao_manual_em = NULL WHERE id = ?`,
+    [clienteId]
+  );
+
+  if (Number(cliente.localizacao_manual) === 1) {
+    await registrarHistorico(clienteId, [{ campo: "localizacao_manual", antigo: "1", novo: "0" }], { usuario });
+  }
+
+  return { id: clienteId, id_odoo: cliente.id_odoo };
+}
@@ -0,0 +1,242 @@
+import { fileURLToPath } from "url";
+
+/** =======================
+ * Match de nomes da planilha com parceiros do Odoo
+ * -----------------------
+ * Score entre 0 e 1:
+ * - nomes normalizados (sem acento, pontuação e sufixos societários como
+ *   LTDA/ME/EIRELI) iguais → 1
+ * - senão: 70% similaridade por tokens + 30% similaridade de trigramas.
+ *   Um token só casa com outro igual ou, com 6+ letras, a uma letra de
+ *   distância (erro de digitação: "ferreira"/"fereira").
+ *
+ * Comparar por tokens evita que "Auto Center Silva" case com
+ * "Auto Center Souza" só porque o prefixo é igual — e sem tolerância por
+ * prefixo, "Silva" também não casa com "Silvana".
+ * ======================= */
+export const MATCH_THRESHOLD = Number(process.env.MATCH_MIN_SCORE || 0.85);
+
+// diferença mínima entre o 1º e o 2º candidato para não ser considerado ambíguo
+export const AMBIGUITY_MARGIN = Number(process.env.MATCH_AMBIGUITY_MARGIN || 0.05);
+
+// tokens com erro de digitação (distância de edição 1) só contam a partir deste tamanho
+const TOKEN_MIN_LEN_TYPO = 6;
+
+const LEGAL_SUFFIXES = new Set([
+  "ltda",
+  "limitada",
+  "me",
+  "epp",
+  "eireli",
+  "mei",
+  "sa",
+  "cia",
+  "s/a",
+  "ss",
+  "slu",
+]);
+
+const STOPWORDS = new Set(["de", "da", "do", "das", "dos", "e", "&"]);
+
+export function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Tokens significativos do nome: sem pontuação, sem sufixos societários
+ * e sem preposições. "S.A." e "S/A" viram "sa".
+ */
+export function tokenize(s) {
+  const tokens = normalizeName(s)
+    .replace(/\bs\s*[./]\s*a\b\.?/g, " sa ")
+    .replace(/[^a-z0-9&]+/g, " ")
+    .split(" ")
+    .filter(Boolean);
+
+  const meaningful = tokens.filter((t) => !LEGAL_SUFFIXES.has(t) && !STOPWORDS.has(t));
+  // nome composto só de sufixos/preposições: mantém o que havia
+  return meaningful.length ? meaningful : tokens;
+}
+
+/**
+ * "Empresa, Pessoa" → ["Empresa, Pessoa", "Empresa", "Pessoa"]
+ */
+export function nameCandidates(original) {
+  const raw = String(original || "").trim();
+  if (!raw) return [];
+
+  const candidates = new Set();
+  candidates.add(raw);
+
+  if (raw.includes(",")) {
+    const [a, b] = raw.split(",").map((x) => x.trim()).filter(Boolean);
+    if (a) candidates.add(a);
+    if (b) candidates.add(b);
+  }
+
+  return [...candidates];
+}
+
+// distância de edição (Levenshtein), parando cedo quando passa de `max`
+export function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 1 para tokens iguais; um pouco menos para erro de digitação em tokens longos; 0 no resto
+function tokenMatch(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < TOKEN_MIN_LEN_TYPO) return 0;
+  return editDistance(a, b, 1) <= 1 ? 1 - 1 / Math.max(a.length, b.length) : 0;
+}
+
+function trigrams(s) {
+  const padded = `  ${s} `;
+  const set = new Set();
+  for (let i = 0; i < padded.length - 2; i++) set.add(padded.slice(i, i + 3));
+  return set;
+}
+
+function trigramSimilarity(a, b) {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  let common = 0;
+  for (const t of ta) if (tb.has(t)) common++;
+  return (2 * common) / (ta.size + tb.size || 1);
+}
+
+function tokenSimilarity(tokensA, tokensB) {
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const bestFor = (from, to) =>
+    from.reduce((sum, t) => {
+      return sum + Math.max(...to.map((u) => tokenMatch(t, u)));
+    }, 0);
+
+  return (bestFor(tokensA, tokensB) + bestFor(tokensB, tokensA)) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Similaridade entre dois nomes (0..1).
+ */
+export function similarity(a, b) {
+  const ta = tokenize(a);
+  const tb = tokenize(b);
+  const ja = ta.join(" ");
+  const jb = tb.join(" ");
+
+  if (!ja || !jb) return 0;
+  if (ja === jb) return 1;
+
+  return 0.7 * tokenSimilarity(ta, tb) + 0.3 * trigramSimilarity(ja, jb);
+}
+
+/**
+ * Score de um parceiro para um nome da planilha: melhor combinação entre os
+ * candidatos do nome ("Empresa, Pessoa", "Empresa", "Pessoa") e o
+ * name/display_name do parceiro.
+ */
+export function scorePartner(requestedName, partner) {
+  const partnerNames = [partner?.display_name, partner?.name].filter(Boolean);
+  let best = 0;
+
+  for (const cand of nameCandidates(requestedName)) {
+    for (const pn of partnerNames) {
+      best = Math.max(best, similarity(cand, pn));
+      if (best === 1) return 1;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Escolhe o parceiro para um nome da planilha.
+ * Retorna { partner, score, ambiguous, candidates } onde:
+ * - partner é null se ninguém passou do limiar ou se o caso é ambíguo
+ * - candidates traz os 3 melhores (para log e para a fila de revisão)
+ */
+export function bestMatch(requestedName, partners, { threshold = MATCH_THRESHOLD } = {}) {
+  const byId = new Map();
+  for (const p of partners || []) {
+    if (!p || byId.has(p.id)) continue;
+    byId.set(p.id, { partner: p, score: scorePartner(requestedName, p) });
+  }
+
+  const ranked = [...byId.values()]
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const candidates = ranked.slice(0, 3).map((x) => ({
+    id: x.partner.id,
+    nome: x.partner.display_name || x.partner.name,
+    score: Number(x.score.toFixed(3)),
+  }));
+
+  const [first, second] = ranked;
+  if (!first || first.score < threshold) {
+    return { partner: null, score: first ? first.score : 0, ambiguous: false, candidates };
+  }
+
+  if (second && second.score >= threshold && first.score - second.score < AMBIGUITY_MARGIN) {
+    // empate entre empresa e contato da empresa: fica com a empresa
+    const companies = ranked
+      .filter((x) => first.score - x.score < AMBIGUITY_MARGIN && !x.partner.parent_id);
+    const tied = ranked.filter((x) => first.score - x.score < AMBIGUITY_MARGIN);
+
+    if (companies.length === 1 && tied.length > 1) {
+      return { partner: companies[0].partner, score: companies[0].score, ambiguous: false, candidates };
+    }
+
+    return { partner: null, score: first.score, ambiguous: true, candidates };
+  }
+
+  return { partner: first.partner, score: first.score, ambiguous: false, candidates };
+}
+
+/* ======================================================
+   EXECUÇÃO DIRETA: npm run matching:casos
+   Casos de regressão do match (sai com código 1 se algum falhar)
+====================================================== */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const parceiros = (...nomes) => nomes.map((name, i) => ({ id: i + 1, name }));
+  const casos = [
+    // sobrenomes com o mesmo prefixo não são o mesmo cliente
+    ["Auto Center Silva", parceiros("Auto Center Silvana", "Auto Center Silva e Filhos Ltda"), "Auto Center Silva e Filhos Ltda"],
+    ["Auto Center Silva", parceiros("Auto Center Silvana"), null],
+    ["Oficina Souza", parceiros("Oficina Souzana"), null],
+    ["Auto Center Silva", parceiros("Auto Center Souza"), null],
+    // sufixo societário e acento não atrapalham
+    ["Mecânica Ferreira ME", parceiros("Mecanica Ferreira Ltda"), "Mecanica Ferreira Ltda"],
+    // erro de digitação em token longo ainda casa
+    ["Mecanica Fereira Ltda", parceiros("Mecanica Ferreira Ltda"), "Mecanica Ferreira Ltda"],
+  ];
+
+  let falhas = 0;
+  for (const [nome, lista, esperado] of casos) {
+    const { partner, score } = bestMatch(nome, lista);
+    const obtido = partner ? partner.name : null;
+    const ok = obtido === esperado;
+    if (!ok) falhas++;
+    console.log(`${ok ? "✅" : "❌"} "${nome}" → ${obtido ?? "sem match"} (${score.toFixed(3)})${ok ? "" : `, esperado: ${esperado ?? "sem match"}`}`);
+  }
+  process.exitCode = falhas ? 1 : 0;
+}
@@ -0,0 +1,186 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import db from "./db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** =======================
+ * Migrations do banco
+ * -----------------------
+ * Arquivos numerados em backend/migrations (ex.: 001_clientes.js), aplicados
+ * em ordem e registrados em schema_migrations. Cada arquivo exporta
+ * `up(conn)`; DDL no MySQL não tem rollback, então uma migration que falha
+ * no meio é repetida por inteiro na próxima vez — por isso usam
+ * CREATE TABLE IF NOT EXISTS e os helpers addColumn/addIndex abaixo.
+ *
+ * Roda na inicialização do servidor e sob demanda:
+ *   npm run migrate              aplica as pendentes
+ *   npm run migrate -- --status  lista aplicadas e pendentes
+ * ======================= */
+export const MIGRATIONS_DIR = path.resolve(__dirname, "../migrations");
+
+// servidor e `npm run sync` podem subir juntos: só um aplica por vez
+const LOCK_NAME = "mapa_clientes_migrations";
+const LOCK_TIMEOUT_S = 60;
+
+function listMigrationFiles() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((arquivo) => {
+      const m = arquivo.match(/^(\d+)_(.+)\.js$/);
+      return m ? { versao: Number(m[1]), nome: m[2], arquivo: path.join(MIGRATIONS_DIR, arquivo) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.versao - b.versao);
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      versao INT NOT NULL PRIMARY KEY,
+      nome VARCHAR(255) NOT NULL,
+      aplicada_em DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+
+async function appliedVersions(conn) {
+  const [rows] = await conn.query(`SELECT versao, aplicada_em FROM schema_migrations`);
+  return new Map(rows.map((r) => [r.versao, r.aplicada_em]));
+}
+
+/**
+ * Lista as migrations: [{ versao, nome, aplicada_em }] (aplicada_em null = pendente).
+ */
+export async function getMigrationStatus() {
+  const conn = await db.getConnection();
+  try {
+    await ensureMigrationsTable(conn);
+    const aplicadas = await appliedVersions(conn);
+    return listMigrationFiles().map(({ versao, nome }) => ({
+      versao,
+      nome,
+      aplicada_em: aplicadas.get(versao) || null,
+    }));
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Aplica as migrations pendentes, em ordem. Retorna as versões aplicadas.
+ * Para na primeira que falhar (lança o erro).
+ */
+export async function runMigrations() {
+  const conn = await db.getConnection();
+  try {
+    const [[{ ok }]] = await conn.query(`SELECT GET_LOCK(?, ?) AS ok`, [LOCK_NAME, LOCK_TIMEOUT_S]);
+    if (ok !== 1) throw new Error("Outra instância está aplicando as migrations");
+
+    try {
+      await ensureMigrationsTable(conn);
+      const aplicadas = await appliedVersions(conn);
+      const feitas = [];
+
+      for (const { versao, nome, arquivo } of listMigrationFiles()) {
+        if (aplicadas.has(versao)) continue;
+
+        console.log(`🗄️ Aplicando migration ${versao} (${nome})…`);
+        const { up } = await import(pathToFileURL(arquivo).href);
+        await up(conn);
+        await conn.query(`INSERT INTO schema_migrations (versao, nome, aplicada_em) VALUES (?, ?, NOW())`, [
+          versao,
+          nome,
+        ]);
+        feitas.push(versao);
+      }
+
+      return feitas;
+    } finally {
+      await conn.query(`SELECT RELEASE_LOCK(?)`, [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/* ======================================================
+   HELPERS PARA AS MIGRATIONS
+====================================================== */
+async function columnExists(conn, table, column) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(conn, table, index) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * ALTER TABLE ... ADD COLUMN só se a coluna ainda não existir
+ * (bancos criados antes das migrations já têm parte delas).
+ */
+export async function addColumn(conn, table, column, definition) {
+  if (await columnExists(conn, table, column)) return false;
+  await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+}
+
+/**
+ * Cria o índice se ainda não houver um com esse nome.
+ * Ex.: addIndex(conn, "clientes", "uk_id_odoo", "UNIQUE KEY uk_id_odoo (id_odoo)")
+ */
+export async function addIndex(conn, table, index, definition) {
+  if (await indexExists(conn, table, index)) return false;
+  await conn.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+  return true;
+}
+
+/**
+ * Há algum índice UNIQUE cuja (única) coluna é `column`? Usado para não
+ * duplicar chaves que bancos antigos criaram com outro nome.
+ */
+export async function hasUniqueOn(conn, table, column) {
+  const [rows] = await conn.query(
+    `SELECT INDEX_NAME
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND NON_UNIQUE = 0
+     GROUP BY INDEX_NAME
+     HAVING COUNT(*) = 1 AND MAX(COLUMN_NAME) = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+/* ======================================================
+   EXECUÇÃO DIRETA: npm run migrate [-- --status]
+====================================================== */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const tarefa = process.argv.includes("--status")
+    ? getMigrationStatus().then((lista) => {
+        for (const m of lista) {
+          console.log(`${m.aplicada_em ? "✅" : "⏳"} ${String(m.versao).padStart(3, "0")} ${m.nome}`);
+        }
+      })
+    : runMigrations().then((feitas) => {
+        console.log(feitas.length ? `✅ Migrations aplicadas: ${feitas.join(", ")}` : "✅ Banco já está atualizado.");
+      });
+
+  tarefa
+    .catch((err) => {
+      console.error("❌ Erro nas migrations:", err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
@@ -1,6 +1,7 @@
 import axios from "axios";
 import dotenv from "dotenv";
 import xlsx from "xlsx";
+import { bestMatch, nameCandidates, normalizeName } from "./matching.js";
 
 dotenv.config();
 
@@ -53,46 +54,6 @@ async function odooLogin() {
   });
 }
 
-/* ======================================================
-   STRING HELPERS (acentos, normalização)
-====================================================== */
-function stripAccents(s) {
-  return String(s || "")
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .trim();
-}
-
-function normalizeName(s) {
-  return stripAccents(s)
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
-}
-
-/**
- * Gera candidatos a partir do texto da planilha:
- * - "Empresa, Pessoa" -> tenta:
- *    - "Empresa, Pessoa"
- *    - "Empresa"
- *    - "Pessoa"
- */
-function nameCandidates(original) {
-  const raw = String(original || "").trim();
-  if (!raw) return [];
-
-  const candidates = new Set();
-  candidates.add(raw);
-
-  if (raw.includes(",")) {
-    const [a, b] = raw.split(",").map((x) => x.trim()).filter(Boolean);
-    if (a) candidates.add(a);
-    if (b) candidates.add(b);
-  }
-
-  return [...candidates];
-}
-
 /* ======================================================
    LER PLANILHA E EXTRAIR CLIENTES
 ====================================================== */
@@ -101,7 +62,16 @@ function nameCandidates(original) {
  * - Preenche células vazias herdando o valor de cima (fill down)
  * - Remove duplicados
  */
-function readCustomersFromXlsx(
+export function readCustomersFromXlsx(filePath, options = {}) {
+  return inspectSheet(filePath, options).customers;
+}
+
+/**
+ * Mesma leitura de readCustomersFromXlsx, mas devolve também os metadados
+ * usados na pré-visualização de upload:
+ * { columns, rowCount, customerColumn, equipmentColumn, customers }
+ */
+export function inspectSheet(
   filePath,
   { sheetName, customerColumn = "Cliente", equipmentColumn = "Equipamentos" } = {}
 ) {
@@ -113,7 +83,9 @@ function readCustomersFromXlsx(
   }
 
   const rows = xlsx.utils.sheet_to_json(worksheet, { defval: "" });
-  if (!rows.length) return [];
+  if (!rows.length) {
+    return { columns: [], rowCount: 0, customerColumn: null, equipmentColumn: null, customers: [] };
+  }
 
   // Encontrar a coluna Cliente e Equipamento (case-insensitive)
   const keys = Object.keys(rows[0] || {});
@@ -166,75 +138,233 @@ function readCustomersFromXlsx(
     }
   }
 
-  return customers;
+  return {
+    columns: keys,
+    rowCount: rows.length,
+    customerColumn: customerKey,
+    equipmentColumn: equipmentKey || null,
+    customers,
+  };
 }
 
 /* ======================================================
-   MATCH HELPERS (marcar found/notFound corretamente)
+   BUSCAR CLIENTES NO ODOO
 ====================================================== */
-function buildFoundKeySet(partners) {
-  const set = new Set();
-
-  for (const p of partners) {
-    const dn = normalizeName(p.display_name || "");
-    const nm = normalizeName(p.name || "");
-    if (dn) set.add(dn);
-    if (nm) set.add(nm);
+const PARTNER_FIELDS = [
+  "id",
+  "name",
+  "display_name",
+  "street",
+  "street2",
+  "zip",
+  "city",
+  "l10n_br_endereco_bairro",
+  "l10n_br_endereco_numero",
+  "state_id",
+  "country_id",
+  "phone",
+  "mobile",
+  "email",
+  "website",
+  "customer_rank",
+  "parent_id",
+];
+
+async function searchPartners(uid, domain, limit = 100000) {
+  const data = await odooRPC("call", {
+    service: "object",
+    method: "execute_kw",
+    args: [
+      ODOO_DB,
+      uid,
+      ODOO_PASS,
+      "res.partner",
+      "search_read",
+      [domain],
+      { fields: PARTNER_FIELDS, limit },
+    ],
+  });
+
+  return Array.isArray(data) ? data : [];
+}
+
+function buildFuzzyDomain(name) {
+  const candidates = nameCandidates(name);
+
+  // monta OR encadeado com display_name ilike / name ilike para cada candidato
+  const conds = [];
+  for (const cand of candidates) {
+    if (!cand) continue;
+
+    // ilike é case-insensitive, mas ainda pode sofrer com acentos.
+    // Mesmo assim, geralmente resolve a maioria.
+    conds.push(["display_name", "ilike", cand]);
+    conds.push(["name", "ilike", cand]);
   }
 
-  return set;
+  if (!conds.length) return null;
+
+  // encadear OR: | c1 | c2 | c3 ...
+  let fuzzyDomain = conds[0];
+  for (let k = 1; k < conds.length; k++) {
+    fuzzyDomain = ["|", fuzzyDomain, conds[k]];
+  }
+
+  if (ONLY_CUSTOMERS) {
+    fuzzyDomain = ["&", ["customer_rank", ">", 0], ...fuzzyDomain];
+  }
+
+  return fuzzyDomain;
 }
 
-function isRequestedFound(requestedName, foundKeySet) {
-  // tenta bater por candidatos:
-  // - "Empresa, Pessoa"
-  // - "Empresa"
-  // - "Pessoa"
-  const cands = nameCandidates(requestedName).map(normalizeName).filter(Boolean);
-  return cands.some((c) => foundKeySet.has(c));
+/**
+ * Candidatos do Odoo para um nome da planilha (mesma busca ilike do passo
+ * fuzzy), usados na fila de revisão de não encontrados.
+ */
+export async function searchPartnerCandidates(name, limit = FUZZY_LIMIT) {
+  const fuzzyDomain = buildFuzzyDomain(name);
+  if (!fuzzyDomain) return [];
+
+  const uid = await odooLogin();
+  return searchPartners(uid, fuzzyDomain, limit);
+}
+
+/**
+ * Recarrega parceiros já conhecidos (por id).
+ * Com `since` (UTC "YYYY-MM-DD HH:MM:SS"), só retorna os que tiveram
+ * write_date posterior — base da sincronização incremental.
+ */
+export async function getPartnersByIds(ids, { since = null } = {}) {
+  const unique = [...new Set((ids || []).filter(Boolean))];
+  if (!unique.length) return [];
+
+  const uid = await odooLogin();
+  const results = [];
+
+  for (let i = 0; i < unique.length; i += CHUNK_SIZE) {
+    const chunk = unique.slice(i, i + CHUNK_SIZE);
+    const domain = since
+      ? ["&", ["id", "in", chunk], ["write_date", ">", since]]
+      : [["id", "in", chunk]];
+
+    results.push(...(await searchPartners(uid, domain)));
+  }
+
+  return results;
 }
 
 /* ======================================================
-   BUSCAR CLIENTES NO ODOO
+   PEDIDOS DE VENDA (EQUIPAMENTOS)
 ====================================================== */
-export async function getCustomersFromSheet(
-  filePath,
-  { sheetName, customerColumn = "Cliente", equipmentColumn = "Equipamentos" } = {}
-) {
+// pedidos confirmados (em andamento ou concluídos); rascunhos e cancelados ficam de fora
+const ORDER_STATES = ["sale", "done"];
+
+async function searchRead(uid, model, domain, fields, limit = 100000) {
+  const data = await odooRPC("call", {
+    service: "object",
+    method: "execute_kw",
+    args: [ODOO_DB, uid, ODOO_PASS, model, "search_read", [domain], { fields, limit }],
+  });
+
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Linhas dos pedidos de venda confirmados do parceiro (e dos contatos filhos).
+ * Retorna [{ produto, codigo, quantidade, pedido_ref, pedido_data }], sem
+ * seções/notas e sem produtos do tipo serviço (frete, instalação…).
+ * pedido_data vem em UTC ("YYYY-MM-DD HH:MM:SS"), como no Odoo.
+ */
+export async function getSaleOrderLines(partnerId) {
   const uid = await odooLogin();
 
-  const requestedEntries = readCustomersFromXlsx(filePath, {
-    sheetName,
-    customerColumn,
-    equipmentColumn,
-  });
+  const orders = await searchRead(
+    uid,
+    "sale.order",
+    [["partner_id", "child_of", partnerId], ["state", "in", ORDER_STATES]],
+    ["id", "name", "date_order"]
+  );
+  if (!orders.length) return [];
+  const orderById = new Map(orders.map((o) => [o.id, o]));
+
+  const lines = await searchRead(
+    uid,
+    "sale.order.line",
+    [["order_id", "in", [...orderById.keys()]]],
+    ["order_id", "product_id", "product_uom_qty", "display_type"]
+  );
+  const productLines = lines.filter((l) => !l.display_type && l.product_id);
+  if (!productLines.length) return [];
+
+  const productIds = [...new Set(productLines.map((l) => l.product_id[0]))];
+  const products = await searchRead(uid, "product.product", [["id", "in", productIds]], ["id", "default_code", "type"]);
+  const productById = new Map(products.map((p) => [p.id, p]));
+
+  const result = [];
+  for (const line of productLines) {
+    const product = productById.get(line.product_id[0]);
+    if (product?.type === "service") continue;
+
+    const order = orderById.get(line.order_id[0]);
+    result.push({
+      produto: line.product_id[1],
+      codigo: product?.default_code || null,
+      quantidade: line.product_uom_qty || null,
+      pedido_ref: order?.name || null,
+      pedido_data: order?.date_order || null,
+    });
+  }
 
-  const requested = requestedEntries.map((r) => r.name);
+  return result;
+}
 
-  if (!requested.length) {
-    return { customers: [], notFound: [], requested: [] };
+/**
+ * Ids dos parceiros comerciais com pedido confirmado alterado depois de
+ * `since` (UTC) — pedidos novos não mudam o write_date do parceiro, então a
+ * sincronização incremental usa isto para atualizar os equipamentos.
+ */
+export async function getPartnerIdsWithOrdersSince(since) {
+  const uid = await odooLogin();
+
+  const orders = await searchRead(
+    uid,
+    "sale.order",
+    [["state", "in", ORDER_STATES], ["write_date", ">", since]],
+    ["partner_id"]
+  );
+  const partnerIds = [...new Set(orders.map((o) => o.partner_id && o.partner_id[0]).filter(Boolean))];
+  if (!partnerIds.length) return new Set();
+
+  // pedidos em nome de um contato contam para a empresa
+  const ids = new Set(partnerIds);
+  for (let i = 0; i < partnerIds.length; i += CHUNK_SIZE) {
+    const chunk = partnerIds.slice(i, i + CHUNK_SIZE);
+    const partners = await searchRead(uid, "res.partner", [["id", "in", chunk]], ["commercial_partner_id"]);
+    for (const p of partners) {
+      if (p.commercial_partner_id) ids.add(p.commercial_partner_id[0]);
+    }
   }
 
-  const FIELDS = [
-    "id",
-    "name",
-    "display_name",
-    "street",
-    "street2",
-    "zip",
-    "city",
-    "l10n_br_endereco_bairro",
-    "l10n_br_endereco_numero",
-    "state_id",
-    "country_id",
-    "phone",
-    "mobile",
-    "email",
-    "website",
-    "customer_rank",
-    "parent_id",
-  ];
+  return ids;
+}
+
+/**
+ * Procura no Odoo os parceiros correspondentes às entradas da planilha
+ * ({ name, equipment }): primeiro match exato (IN), depois fuzzy (ilike)
+ * só para os que sobraram. A escolha entre candidatos usa o score de
+ * matching.js; casos ambíguos não são vinculados.
+ *
+ * Retorna { requested, customers, notFound, ambiguous, matches }, onde
+ * matches é um Map nome da planilha → { partner, score, metodo }.
+ */
+export async function findCustomersInOdoo(requestedEntries) {
+  const requested = (requestedEntries || []).map((r) => r.name);
+
+  if (!requested.length) {
+    return { customers: [], notFound: [], ambiguous: [], matches: new Map(), requested: [] };
+  }
 
+  const uid = await odooLogin();
   const results = [];
 
   // ---------------------------
@@ -250,106 +380,86 @@ export async function getCustomersFromSheet(
       domain = ["&", ["customer_rank", ">", 0], ...domain];
     }
 
-    const data = await odooRPC("call", {
-      service: "object",
-      method: "execute_kw",
-      args: [
-        ODOO_DB,
-        uid,
-        ODOO_PASS,
-        "res.partner",
-        "search_read",
-        [domain],
-        { fields: FIELDS, limit: 100000 },
-      ],
-    });
+    results.push(...(await searchPartners(uid, domain)));
+  }
 
-    if (Array.isArray(data) && data.length) results.push(...data);
+  // indexa por name/display_name normalizados
+  const byKey = new Map();
+  for (const p of results) {
+    for (const key of [normalizeName(p.display_name), normalizeName(p.name)]) {
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(p);
+    }
   }
 
-  // calcula notFound com base em name/display_name normalizados
-  let foundKeys = buildFoundKeySet(results);
-  let notFound = requested.filter((r) => !isRequestedFound(r, foundKeys));
+  const matches = new Map();
+  const ambiguous = [];
+  const pending = [];
+
+  function applyMatch(name, result, metodo) {
+    if (result.partner) {
+      matches.set(name, { partner: result.partner, score: result.score, metodo });
+      return true;
+    }
+    if (result.ambiguous) {
+      ambiguous.push(name);
+      console.warn(
+        `⚠️ Match ambíguo para "${name}" (não vinculado):`,
+        result.candidates.map((c) => `[id=${c.id}] ${c.nome} (${c.score})`).join(" | ")
+      );
+      return true;
+    }
+    return false;
+  }
+
+  for (const name of requested) {
+    const pool = nameCandidates(name).flatMap((cand) => byKey.get(normalizeName(cand)) || []);
+    if (!pool.length || !applyMatch(name, bestMatch(name, pool), "exato")) {
+      pending.push(name);
+    }
+  }
 
   // ---------------------------
   // PASSO 2) FUZZY (ILIKE) só pros que sobraram
   // ---------------------------
-  if (notFound.length) {
-    const fuzzyFound = [];
-
-    for (const missing of notFound) {
-      const candidates = nameCandidates(missing);
-
-      // monta OR encadeado com display_name ilike / name ilike para cada candidato
-      const conds = [];
-      for (const cand of candidates) {
-        if (!cand) continue;
-
-        // ilike é case-insensitive, mas ainda pode sofrer com acentos.
-        // Mesmo assim, geralmente resolve a maioria.
-        conds.push(["display_name", "ilike", cand]);
-        conds.push(["name", "ilike", cand]);
-      }
-
-      if (!conds.length) continue;
-
-      // encadear OR: | c1 | c2 | c3 ...
-      let fuzzyDomain = conds[0];
-      for (let k = 1; k < conds.length; k++) {
-        fuzzyDomain = ["|", fuzzyDomain, conds[k]];
-      }
-
-      if (ONLY_CUSTOMERS) {
-        fuzzyDomain = ["&", ["customer_rank", ">", 0], ...fuzzyDomain];
-      }
-
-      const guess = await odooRPC("call", {
-        service: "object",
-        method: "execute_kw",
-        args: [
-          ODOO_DB,
-          uid,
-          ODOO_PASS,
-          "res.partner",
-          "search_read",
-          [fuzzyDomain],
-          { fields: FIELDS, limit: FUZZY_LIMIT },
-        ],
-      });
-
-      if (Array.isArray(guess) && guess.length) {
-        // escolhe o mais provável por “proximidade” simples
-        const target = normalizeName(missing);
-
-        guess.sort((a, b) => {
-          const an = normalizeName(a.display_name || a.name);
-          const bn = normalizeName(b.display_name || b.name);
-
-          const ascore = an.includes(target) || target.includes(an) ? 2 : 0;
-          const bscore = bn.includes(target) || target.includes(bn) ? 2 : 0;
-
-          // desempate: maior string (mais “completa”)
-          return bscore - ascore || (bn.length - an.length);
-        });
-
-        fuzzyFound.push(guess[0]);
-      }
+  for (const missing of pending) {
+    const fuzzyDomain = buildFuzzyDomain(missing);
+    if (!fuzzyDomain) continue;
+
+    const guess = await searchPartners(uid, fuzzyDomain, FUZZY_LIMIT);
+    if (!guess.length) continue;
+
+    const result = bestMatch(missing, guess);
+    if (!applyMatch(missing, result, "fuzzy") && result.candidates.length) {
+      console.log(
+        `🔎 Sem candidato confiável para "${missing}" (melhor score ${result.score.toFixed(3)}):`,
+        result.candidates.map((c) => `[id=${c.id}] ${c.nome}`).join(" | ")
+      );
     }
+  }
 
-    // adiciona resultados fuzzy, evitando duplicar por id
-    const byId = new Map(results.map((r) => [r.id, r]));
-    for (const r of fuzzyFound) byId.set(r.id, r);
+  // parceiros vinculados, sem duplicar por id
+  const byId = new Map();
+  for (const { partner } of matches.values()) byId.set(partner.id, partner);
 
-    const merged = [...byId.values()];
+  const ambiguousSet = new Set(ambiguous);
+  const notFound = requested.filter((r) => !matches.has(r) && !ambiguousSet.has(r));
 
-    // recalcula notFound final
-    foundKeys = buildFoundKeySet(merged);
-    notFound = requested.filter((r) => !isRequestedFound(r, foundKeys));
+  return { requested: requestedEntries, customers: [...byId.values()], notFound, ambiguous, matches };
+}
 
-    return { requested: requestedEntries, customers: merged, notFound };
-  }
+export async function getCustomersFromSheet(
+  filePath,
+  { sheetName, customerColumn = "Cliente", equipmentColumn = "Equipamentos" } = {}
+) {
+  const requestedEntries = readCustomersFromXlsx(filePath, {
+    sheetName,
+    customerColumn,
+    equipmentColumn,
+  });
 
-  return { requested: requestedEntries, customers: results, notFound };
+  return findCustomersInOdoo(requestedEntries);
 }
 
 /* ======================================================
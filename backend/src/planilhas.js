@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import db from "./db.js";
+import { inspectSheet } from "./odoo.js";
+import { parseEquipmentList, splitEquipmentParts } from "./equipamentos.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Colunas da planilha usadas pela sincronização
+export const SHEET_OPTIONS = {
+  customerColumn: "Cliente",
+  equipmentColumn: "Itens do pedido",
+};
+
+// Uploads ficam guardados aqui (nunca apagamos os aceitos, para permitir rollback)
+export const UPLOAD_DIR = path.resolve(__dirname, "../uploads/planilhas");
+
+// Planilha usada antes de existir upload (arquivo no disco do servidor)
+const LEGACY_SHEET = path.resolve(process.cwd(), "clientes.xlsx");
+
+// quantos exemplos de parse de equipamentos devolver na pré-visualização
+const PREVIEW_SAMPLE = 20;
+
+// Erros de validação (viram HTTP 400 nas rotas)
+function planilhaError(message) {
+  const err = new Error(message);
+  err.name = "PlanilhaError";
+  return err;
+}
+
+/** =======================
+ * Tabela de uploads
+ * -----------------------
+ * status: pendente → ativa → arquivada (substituída por outra)
+ *         pendente → descartada
+ * ======================= */
+
+/**
+ * Caminho da planilha em uso: a última ativada por upload ou,
+ * se nunca houve upload, o clientes.xlsx do diretório de trabalho.
+ */
+export async function getActiveSheetPath() {
+  const [rows] = await db.query(
+    `SELECT arquivo FROM planilhas WHERE status = 'ativa' ORDER BY ativada_em DESC LIMIT 1`
+  );
+
+  const arquivo = rows && rows[0] && rows[0].arquivo;
+  if (arquivo) {
+    const fullPath = path.join(UPLOAD_DIR, arquivo);
+    if (fs.existsSync(fullPath)) return fullPath;
+    console.warn(`⚠️ Planilha ativa não encontrada no disco (${arquivo}), usando ${LEGACY_SHEET}`);
+  }
+
+  return LEGACY_SHEET;
+}
+
+function readActiveNames(filePath) {
+  if (!fs.existsSync(filePath)) return new Set();
+  try {
+    return new Set(inspectSheet(filePath, SHEET_OPTIONS).customers.map((c) => c.name));
+  } catch (err) {
+    console.warn("⚠️ Não foi possível ler a planilha ativa para comparação:", err.message || err);
+    return new Set();
+  }
+}
+
+/**
+ * Lê a planilha com as mesmas regras da sincronização (fill-down, dedupe,
+ * merge de equipamentos) e compara com a planilha ativa.
+ * Lança erro se a coluna de clientes não existir.
+ */
+export async function buildPreview(filePath) {
+  const sheet = inspectSheet(filePath, SHEET_OPTIONS);
+  const activeNames = readActiveNames(await getActiveSheetPath());
+  const uploadedNames = new Set(sheet.customers.map((c) => c.name));
+
+  const novos = [...uploadedNames].filter((n) => !activeNames.has(n));
+  const removidos = [...activeNames].filter((n) => !uploadedNames.has(n));
+
+  let comItens = 0;
+  let totalItens = 0;
+  const semParse = [];
+  const exemplos = [];
+
+  for (const c of sheet.customers) {
+    if (!c.equipment) continue;
+    comItens++;
+
+    const itens = parseEquipmentList(c.equipment);
+    totalItens += itens.length;
+
+    // texto presente mas nenhum item reconhecido
+    if (!itens.length) semParse.push({ cliente: c.name, bruto: c.equipment });
+
+    if (exemplos.length < PREVIEW_SAMPLE) {
+      exemplos.push({ cliente: c.name, partes: splitEquipmentParts(c.equipment).length, itens });
+    }
+  }
+
+  return {
+    linhas: sheet.rowCount,
+    clientes: sheet.customers.length,
+    colunas: sheet.columns,
+    colunaCliente: sheet.customerColumn,
+    colunaEquipamentos: sheet.equipmentColumn,
+    novos,
+    removidos,
+    equipamentos: {
+      clientesComItens: comItens,
+      clientesSemItens: sheet.customers.length - comItens,
+      totalItens,
+      semParse,
+      exemplos,
+    },
+  };
+}
+
+/**
+ * Registra um arquivo recém-enviado (já gravado em UPLOAD_DIR) como pendente
+ * e devolve { id, preview }. Se a planilha for inválida, apaga o arquivo e lança erro.
+ */
+export async function registerUpload({ arquivo, nomeOriginal }) {
+  const fullPath = path.join(UPLOAD_DIR, arquivo);
+
+  let preview;
+  try {
+    preview = await buildPreview(fullPath);
+  } catch (err) {
+    fs.rmSync(fullPath, { force: true });
+    throw planilhaError(`Planilha inválida: ${err.message || err}`);
+  }
+
+  const [res] = await db.query(
+    `INSERT INTO planilhas (arquivo, nome_original, status, linhas, clientes, preview)
+     VALUES (?, ?, 'pendente', ?, ?, ?)`,
+    [arquivo, nomeOriginal || null, preview.linhas, preview.clientes, JSON.stringify(preview)]
+  );
+
+  return { id: res.insertId, preview };
+}
+
+export async function getUpload(id) {
+  const [rows] = await db.query(`SELECT * FROM planilhas WHERE id = ? LIMIT 1`, [id]);
+  const row = rows && rows[0];
+  if (!row) return null;
+
+  let preview = null;
+  try {
+    preview = row.preview ? JSON.parse(row.preview) : null;
+  } catch {}
+
+  return { ...row, preview };
+}
+
+export async function listUploads() {
+  const [rows] = await db.query(
+    `SELECT id, nome_original, status, linhas, clientes, created_at, ativada_em
+     FROM planilhas ORDER BY created_at DESC, id DESC`
+  );
+  return rows;
+}
+
+/**
+ * Torna a planilha `id` a ativa. Serve tanto para aceitar um upload pendente
+ * quanto para voltar a uma planilha arquivada (rollback).
+ */
+export async function activateUpload(id) {
+  const upload = await getUpload(id);
+  if (!upload) return null;
+
+  if (!["pendente", "arquivada", "ativa"].includes(upload.status)) {
+    throw planilhaError(`Planilha ${id} está com status "${upload.status}" e não pode ser ativada`);
+  }
+  if (!fs.existsSync(path.join(UPLOAD_DIR, upload.arquivo))) {
+    throw planilhaError(`Arquivo da planilha ${id} não existe mais no disco`);
+  }
+
+  await db.query(`UPDATE planilhas SET status = 'arquivada' WHERE status = 'ativa' AND id != ?`, [id]);
+  await db.query(`UPDATE planilhas SET status = 'ativa', ativada_em = NOW() WHERE id = ?`, [id]);
+
+  return getUpload(id);
+}
+
+/**
+ * Descarta um upload pendente (apaga o arquivo; o registro fica no histórico).
+ */
+export async function discardUpload(id) {
+  const upload = await getUpload(id);
+  if (!upload) return null;
+
+  if (upload.status !== "pendente") {
+    throw planilhaError(`Só uploads pendentes podem ser descartados (status atual: ${upload.status})`);
+  }
+
+  fs.rmSync(path.join(UPLOAD_DIR, upload.arquivo), { force: true });
+  await db.query(`UPDATE planilhas SET status = 'descartada' WHERE id = ?`, [id]);
+
+  return getUpload(id);
+}
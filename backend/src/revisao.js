@@ -0,0 +1,129 @@
+import db from "./db.js";
+import { searchPartnerCandidates } from "./odoo.js";
+
+/** =======================
+ * Fila de revisão: nomes da planilha sem parceiro no Odoo
+ * -----------------------
+ * - planilha_nao_encontrados: cada nome que a sincronização não conseguiu
+ *   vincular (status: pendente | vinculado | ignorado)
+ * - cliente_aliases: vínculos confirmados por um admin (nome da planilha →
+ *   id do parceiro). A sincronização usa os aliases antes de qualquer busca.
+ * ======================= */
+
+/**
+ * Mapa nome da planilha → id_odoo com os vínculos confirmados.
+ */
+export async function getAliases() {
+  const [rows] = await db.query(`SELECT nome_planilha, id_odoo FROM cliente_aliases`);
+  return new Map((rows || []).map((r) => [r.nome_planilha, r.id_odoo]));
+}
+
+export async function listAliases() {
+  const [rows] = await db.query(
+    `SELECT nome_planilha, id_odoo, criado_em FROM cliente_aliases ORDER BY criado_em DESC`
+  );
+  return rows;
+}
+
+export async function removeAlias(nome) {
+  const [res] = await db.query(`DELETE FROM cliente_aliases WHERE nome_planilha = ?`, [nome]);
+  return res.affectedRows > 0;
+}
+
+/**
+ * Registra (ou atualiza ultima_vez de) nomes sem parceiro.
+ * Nomes já ignorados continuam ignorados.
+ */
+export async function recordNotFound(nomes, motivo = "nao_encontrado") {
+  if (!nomes || !nomes.length) return;
+
+  for (const nome of nomes) {
+    await db.query(
+      `INSERT INTO planilha_nao_encontrados (nome, status, motivo, primeira_vez, ultima_vez)
+       VALUES (?, 'pendente', ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         ultima_vez = NOW(),
+         motivo = VALUES(motivo),
+         status = IF(status = 'ignorado', status, 'pendente')`,
+      [String(nome).slice(0, 255), motivo]
+    );
+  }
+}
+
+/**
+ * Tira da fila nomes que a sincronização passou a encontrar sozinha.
+ */
+export async function clearFound(nomes) {
+  if (!nomes || !nomes.length) return;
+
+  const CHUNK = 500;
+  for (let i = 0; i < nomes.length; i += CHUNK) {
+    await db.query(
+      `DELETE FROM planilha_nao_encontrados WHERE status = 'pendente' AND nome IN (?)`,
+      [nomes.slice(i, i + CHUNK).map((n) => String(n).slice(0, 255))]
+    );
+  }
+}
+
+/**
+ * Lista a fila com os principais candidatos do Odoo de cada nome.
+ */
+export async function listNotFound({ status = "pendente", limit = 25, offset = 0 } = {}) {
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM planilha_nao_encontrados WHERE status = ?`,
+    [status]
+  );
+  const [rows] = await db.query(
+    `SELECT nome, status, motivo, id_odoo, primeira_vez, ultima_vez
+     FROM planilha_nao_encontrados
+     WHERE status = ?
+     ORDER BY ultima_vez DESC, nome
+     LIMIT ? OFFSET ?`,
+    [status, limit, offset]
+  );
+
+  const itens = [];
+  for (const row of rows) {
+    let candidatos = [];
+    if (status === "pendente") {
+      try {
+        candidatos = (await searchPartnerCandidates(row.nome)).map((p) => ({
+          id: p.id,
+          nome: p.display_name || p.name,
+          cidade: p.city || null,
+          uf: p.state_id ? p.state_id[1] : null,
+          cep: p.zip || null,
+        }));
+      } catch (err) {
+        console.warn(`⚠️ Falha ao buscar candidatos para "${row.nome}":`, err.message || err);
+      }
+    }
+    itens.push({ ...row, candidatos });
+  }
+
+  return { total, itens };
+}
+
+/**
+ * Confirma o vínculo nome da planilha → parceiro do Odoo.
+ */
+export async function linkAlias(nome, idOdoo) {
+  await db.query(
+    `INSERT INTO cliente_aliases (nome_planilha, id_odoo)
+     VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE id_odoo = VALUES(id_odoo)`,
+    [nome, idOdoo]
+  );
+  await db.query(
+    `UPDATE planilha_nao_encontrados SET status = 'vinculado', id_odoo = ? WHERE nome = ?`,
+    [idOdoo, nome]
+  );
+}
+
+export async function ignoreNotFound(nome) {
+  const [res] = await db.query(
+    `UPDATE planilha_nao_encontrados SET status = 'ignorado' WHERE nome = ?`,
+    [nome]
+  );
+  return res.affectedRows > 0;
+}
@@ -1,9 +1,89 @@
 import express from "express";
 import cors from "cors";
 import path from "path";
+import fs from "fs";
+import multer from "multer";
 import { fileURLToPath } from "url";
 import db from "./db.js";
-import { syncClientes } from "./sync.js";
+import {
+  syncClientes,
+  startSync,
+  cancelSync,
+  getSyncStatus,
+  markPartnerForResync,
+  markEntryForResync,
+} from "./sync.js";
+import { getRun, listRuns } from "./syncRuns.js";
+import { setManualLocation, clearManualLocation } from "./localizacao.js";
+import {
+  listNotFound,
+  linkAlias,
+  ignoreNotFound,
+  listAliases,
+  removeAlias,
+} from "./revisao.js";
+import { invalidateGeocodeCache } from "./geocodeCache.js";
+import { exportClientes } from "./exportar.js";
+import { runMigrations } from "./migrate.js";
+import { simularSync, SIMULACAO_KM_PADRAO } from "./simulacao.js";
+import { listVisitas, addVisita } from "./visitas.js";
+import { listHistorico } from "./historico.js";
+import {
+  FOTOS_DIR,
+  FOTOS_URL,
+  MAX_FOTO_BYTES,
+  MAX_FOTOS_POR_ENVIO,
+  addFoto,
+  deleteFoto,
+  listFotos,
+} from "./fotos.js";
+import {
+  login,
+  logout,
+  listUsers,
+  createUser,
+  updateUser,
+  ensureBootstrapAdmin,
+  loadSession,
+  requireRole,
+  sessionToken,
+  sessionCookieOptions,
+  SESSION_COOKIE,
+} from "./auth.js";
+import {
+  parseClienteFilters,
+  parseListOptions,
+  queryClientes,
+  getFilterOptions,
+  countEquipamentos,
+  countByEstado,
+  densityPoints,
+  parseProximidade,
+  queryProximos,
+} from "./clientesQuery.js";
+import {
+  listCatalogo,
+  createCatalogItem,
+  updateCatalogItem,
+  listDesconhecidos,
+  classificarDesconhecido,
+  ignorarDesconhecido,
+} from "./equipamentoCatalogo.js";
+import {
+  STATUS_DUPLICADO,
+  listDuplicates,
+  getDuplicatesByCliente,
+  getMergeMap,
+  setDuplicateStatus,
+} from "./duplicados.js";
+import {
+  UPLOAD_DIR,
+  registerUpload,
+  getUpload,
+  listUploads,
+  activateUpload,
+  discardUpload,
+} from "./planilhas.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -12,40 +92,761 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(cors());
+
+// CORS só para as origens do .env (CORS_ORIGINS=https://a.com,https://b.com);
+// sem a variável, a API só atende o próprio domínio
+const corsOrigins = (process.env.CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
 app.use(express.json());
 
 // Servir todos os arquivos estáticos dentro de /frontend
+// (as páginas são públicas; os dados vêm da API, que exige login)
 app.use(express.static(path.join(__dirname, "../../frontend")));
 
+app.use(loadSession);
+
+// Login / logout (cookie de sessão httpOnly)
+app.post("/auth/login", async (req, res) => {
+  const { email, senha } = req.body || {};
+  if (!email || !senha) return res.status(400).json({ error: "Informe email e senha" });
+
+  try {
+    const sessao = await login(email, senha);
+    if (!sessao) return res.status(401).json({ error: "Email ou senha inválidos" });
+
+    res.cookie(SESSION_COOKIE, sessao.token, sessionCookieOptions());
+    res.json(sessao.usuario);
+  } catch (err) {
+    console.error("Erro no login:", err.message || err);
+    res.status(500).json({ error: "Erro no login" });
+  }
+});
+
+app.post("/auth/logout", async (req, res) => {
+  try {
+    await logout(sessionToken(req));
+  } catch (err) {
+    console.error("Erro ao encerrar sessão:", err.message || err);
+  }
+  const { maxAge, ...options } = sessionCookieOptions();
+  res.clearCookie(SESSION_COOKIE, options);
+  res.status(204).end();
+});
+
+app.get("/auth/me", (req, res) => {
+  if (!req.usuario) return res.status(401).json({ error: "Faça login para continuar" });
+  res.json(req.usuario);
+});
+
+// viewer: mapa e consultas | admin: sincronização, planilhas, correções e usuários
+const somenteAdmin = requireRole("admin");
+app.use(["/clientes", "/equipamentos"], requireRole("viewer"));
+app.use(["/admin", "/sync"], somenteAdmin);
+
+// Fotos dos clientes (uploads/fotos), só para usuários logados
+app.use(FOTOS_URL, requireRole("viewer"), express.static(FOTOS_DIR, { maxAge: "7d" }));
+
 // Rota API
+// Filtros e paginação: ver clientesQuery.js (sem parâmetros, devolve todos os clientes geocodificados)
 app.get("/clientes", async (req, res) => {
-  const [rows] = await db.query(
-    "SELECT * FROM clientes WHERE latitude IS NOT NULL AND longitude IS NOT NULL"
-  );
+  try {
+    const filters = parseClienteFilters(req.query);
+    const { limit, offset, campos } = parseListOptions(req.query);
+    const { total, rows } = await queryClientes({ filters, limit, offset, campos });
+
+    if (limit) res.set("X-Total-Count", String(total));
+    res.json(campos ? rows : await withDuplicates(rows));
+  } catch (err) {
+    if (err.name === "FiltroError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao buscar clientes:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar clientes" });
+  }
+});
 
-  if (!rows || !rows.length) return res.json([]);
+// Clientes num raio (km) em volta de um ponto, ordenados pela distância
+// (?lat=&lng=&raio=, mais os filtros e o limit de /clientes)
+app.get("/clientes/proximos", async (req, res) => {
+  try {
+    const ponto = parseProximidade(req.query);
+    const filters = parseClienteFilters(req.query);
+    const { limit } = parseListOptions(req.query);
+    res.json(await withDuplicates(await queryProximos(ponto, { filters, limit })));
+  } catch (err) {
+    if (err.name === "FiltroError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao buscar clientes próximos:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar clientes próximos" });
+  }
+});
 
+// Exporta os clientes filtrados: ?format=csv|xlsx|geojson|kml, mais os filtros
+// de /clientes (e lat/lng/raio para exportar o resultado do "perto de").
+// Clientes mesclados em outro ("mesmo cliente") ficam de fora, como no mapa.
+app.get("/clientes/export", async (req, res) => {
   try {
-    const ids = rows.map(r => r.id);
-    const placeholders = ids.map(() => '?').join(',');
-    const [items] = await db.query(
-      `SELECT cliente_id, nome, quantidade FROM equipamentos WHERE cliente_id IN (${placeholders})`,
-      ids
+    const filters = parseClienteFilters(req.query);
+    const rows = req.query.lat !== undefined
+      ? await queryProximos(parseProximidade(req.query), { filters })
+      : (await queryClientes({ filters })).rows;
+
+    let merged = new Map();
+    try {
+      merged = await getMergeMap();
+    } catch (err) {
+      console.warn("Erro ao buscar clientes mesclados:", err.message || err);
+    }
+
+    const { contentType, filename, body } = exportClientes(
+      rows.filter((c) => !merged.has(c.id)),
+      req.query.format || "csv"
     );
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (err) {
+    if (err.name === "FiltroError" || err.name === "ExportError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Erro ao exportar clientes:", err.message || err);
+    res.status(500).json({ error: "Erro ao exportar clientes" });
+  }
+});
 
-    const itemsByClient = new Map();
-    items.forEach(it => {
-      if (!itemsByClient.has(it.cliente_id)) itemsByClient.set(it.cliente_id, []);
-      itemsByClient.get(it.cliente_id).push({ nome: it.nome, quantidade: it.quantidade });
+// Estados/cidades para os filtros do mapa
+app.get("/clientes/filtros", async (req, res) => {
+  try {
+    res.json(await getFilterOptions());
+  } catch (err) {
+    console.error("Erro ao buscar opções de filtro:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar opções de filtro" });
+  }
+});
+
+// Camadas de densidade do mapa (aceitam os mesmos filtros de /clientes)
+// - por-estado: clientes e quantidade de equipamentos por UF (coroplético)
+// - densidade: pontos [lat, lng, clientes] para o heatmap
+app.get("/clientes/por-estado", async (req, res) => {
+  try {
+    res.json(await countByEstado(parseClienteFilters(req.query)));
+  } catch (err) {
+    if (err.name === "FiltroError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao agrupar clientes por estado:", err.message || err);
+    res.status(500).json({ error: "Erro ao agrupar clientes por estado" });
+  }
+});
+
+app.get("/clientes/densidade", async (req, res) => {
+  try {
+    res.json(await densityPoints(parseClienteFilters(req.query)));
+  } catch (err) {
+    if (err.name === "FiltroError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao calcular densidade de clientes:", err.message || err);
+    res.status(500).json({ error: "Erro ao calcular densidade de clientes" });
+  }
+});
+
+// Catálogo de equipamentos com contagem de clientes (aceita os mesmos filtros de /clientes)
+app.get("/equipamentos", async (req, res) => {
+  try {
+    res.json(await countEquipamentos(parseClienteFilters(req.query)));
+  } catch (err) {
+    if (err.name === "FiltroError") return res.status(400).json({ error: err.message });
+    if (err.code === "ER_NO_SUCH_TABLE") return res.json([]);
+    console.error("Erro ao listar equipamentos:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar equipamentos" });
+  }
+});
+
+// duplicatas: lista de pares de cada cliente + mesclado_em (id do pin principal
+// quando o cliente foi marcado como mesmo_cliente de outro)
+async function withDuplicates(clientes) {
+  if (!clientes.length) return clientes;
+
+  try {
+    const byCliente = await getDuplicatesByCliente();
+    const merged = await getMergeMap();
+    const nomes = new Map(clientes.map(c => [c.id, c.nome]));
+
+    // nomes dos pares que não vieram nesta página/filtro
+    const faltando = [...new Set(
+      clientes.flatMap(c => (byCliente.get(c.id) || []).map(d => d.id)).filter(id => !nomes.has(id))
+    )];
+    if (faltando.length) {
+      const [outros] = await db.query(`SELECT id, nome FROM clientes WHERE id IN (?)`, [faltando]);
+      outros.forEach(o => nomes.set(o.id, o.nome));
+    }
+
+    return clientes.map(c => ({
+      ...c,
+      duplicatas: (byCliente.get(c.id) || []).map(d => ({ ...d, nome: nomes.get(d.id) || null })),
+      mesclado_em: merged.get(c.id) || null,
+    }));
+  } catch (err) {
+    console.warn('Erro ao buscar duplicatas:', err.message || err);
+    return clientes.map(c => ({ ...c, duplicatas: [], mesclado_em: null }));
+  }
+}
+
+// Possíveis duplicatas de endereço detectadas pela sincronização
+app.get("/clientes/duplicados", somenteAdmin, async (req, res) => {
+  const status = STATUS_DUPLICADO.includes(req.query.status) ? req.query.status : "pendente";
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    res.json(await listDuplicates({ status, limit, offset }));
+  } catch (err) {
+    console.error("Erro ao listar duplicatas:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar duplicatas" });
+  }
+});
+
+// body: { status: "mesmo_cliente" | "nao_duplicado" | "pendente" }
+app.put("/clientes/duplicados/:id", somenteAdmin, async (req, res) => {
+  try {
+    const par = await setDuplicateStatus(Number(req.params.id), req.body?.status);
+    if (!par) return res.status(404).json({ error: "Par não encontrado" });
+    res.json(par);
+  } catch (err) {
+    if (err.name === "DuplicadoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao atualizar duplicata:", err.message || err);
+    res.status(500).json({ error: "Erro ao atualizar duplicata" });
+  }
+});
+
+// Fotos do cliente: qualquer usuário logado envia (campo "fotos", várias por vez);
+// apagar só admin ou quem enviou
+const uploadFotos = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FOTO_BYTES, files: MAX_FOTOS_POR_ENVIO },
+  fileFilter: (req, file, cb) => {
+    cb(null, /^image\//.test(file.mimetype));
+  },
+});
+
+app.get("/clientes/:id/fotos", async (req, res) => {
+  try {
+    res.json(await listFotos(Number(req.params.id)));
+  } catch (err) {
+    console.error("Erro ao listar fotos:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar fotos" });
+  }
+});
+
+app.post("/clientes/:id/fotos", (req, res, next) => {
+  uploadFotos.array("fotos", MAX_FOTOS_POR_ENVIO)(req, res, (err) => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: `Upload inválido: ${err.message}` });
+    if (err) return next(err);
+    next();
+  });
+}, async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ error: "Envie uma ou mais imagens no campo 'fotos'" });
+  }
+
+  try {
+    const fotos = [];
+    for (const file of req.files) {
+      const foto = await addFoto(Number(req.params.id), file.buffer, {
+        nomeOriginal: file.originalname,
+        legenda: req.body?.legenda,
+        usuarioId: req.usuario.id,
+      });
+      if (!foto) return res.status(404).json({ error: "Cliente não encontrado" });
+      fotos.push(foto);
+    }
+    res.status(201).json(fotos);
+  } catch (err) {
+    if (err.name === "FotoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao salvar foto:", err.message || err);
+    res.status(500).json({ error: "Erro ao salvar foto" });
+  }
+});
+
+app.delete("/clientes/:id/fotos/:fotoId", async (req, res) => {
+  try {
+    const resultado = await deleteFoto(
+      Number(req.params.id),
+      Number(req.params.fotoId),
+      (foto) => req.usuario.papel === "admin" || foto.enviado_por === req.usuario.id
+    );
+    if (!resultado) return res.status(404).json({ error: "Foto não encontrada" });
+    if (resultado === "proibido") return res.status(403).json({ error: "Só admin ou quem enviou pode apagar a foto" });
+    res.status(204).end();
+  } catch (err) {
+    console.error("Erro ao apagar foto:", err.message || err);
+    res.status(500).json({ error: "Erro ao apagar foto" });
+  }
+});
+
+// Visitas e notas do cliente (mais recentes primeiro)
+app.get("/clientes/:id/visitas", async (req, res) => {
+  try {
+    res.json(await listVisitas(Number(req.params.id)));
+  } catch (err) {
+    console.error("Erro ao listar visitas:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar visitas" });
+  }
+});
+
+// { data?, tipo? (visita, instalacao, ...), nota?, latitude?, longitude? } — autor é o usuário logado
+app.post("/clientes/:id/visitas", async (req, res) => {
+  try {
+    const visita = await addVisita(Number(req.params.id), req.body || {}, req.usuario);
+    if (!visita) return res.status(404).json({ error: "Cliente não encontrado" });
+    res.status(201).json(visita);
+  } catch (err) {
+    if (err.name === "VisitaError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao registrar visita:", err.message || err);
+    res.status(500).json({ error: "Erro ao registrar visita" });
+  }
+});
+
+// Histórico de alterações do cliente (sincronização e usuários), mais recentes primeiro
+app.get("/clientes/:id/historico", async (req, res) => {
+  try {
+    res.json(await listHistorico(Number(req.params.id)));
+  } catch (err) {
+    console.error("Erro ao buscar histórico:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar histórico" });
+  }
+});
+
+// Correção manual de localização (sync não sobrescreve enquanto estiver marcada)
+app.put("/clientes/:id/localizacao", somenteAdmin, async (req, res) => {
+  const { latitude, longitude } = req.body || {};
+
+  try {
+    const cliente = await setManualLocation(Number(req.params.id), latitude, longitude, req.usuario);
+    if (!cliente) return res.status(404).json({ error: "Cliente não encontrado" });
+    res.json(cliente);
+  } catch (err) {
+    if (err.name === "LocalizacaoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao salvar localização manual:", err.message || err);
+    res.status(500).json({ error: "Erro ao salvar localização manual" });
+  }
+});
+
+// Volta para a geocodificação automática e já re-sincroniza o parceiro
+app.delete("/clientes/:id/localizacao", somenteAdmin, async (req, res) => {
+  try {
+    const cliente = await clearManualLocation(Number(req.params.id), req.usuario);
+    if (!cliente) return res.status(404).json({ error: "Cliente não encontrado" });
+
+    const iniciada = cliente.id_odoo
+      ? await startSync({ partnerId: cliente.id_odoo, gatilho: "manual" })
+      : false;
+    if (!iniciada && cliente.id_odoo) await markPartnerForResync(cliente.id_odoo);
+
+    res.status(202).json({
+      id: cliente.id,
+      localizacao_manual: 0,
+      sincronizacao: iniciada ? "iniciada" : "na_proxima_execucao",
     });
+  } catch (err) {
+    console.error("Erro ao remover localização manual:", err.message || err);
+    res.status(500).json({ error: "Erro ao remover localização manual" });
+  }
+});
 
-    const result = rows.map(r => ({ ...r, equipamentos: itemsByClient.get(r.id) || [] }));
-    res.json(result);
+// Admin: usuários
+app.get("/admin/usuarios", async (req, res) => {
+  try {
+    res.json(await listUsers());
   } catch (err) {
-    console.warn('Erro ao buscar equipamentos (talvez tabela ausente):', err.message || err);
-    // fallback: return clients without equipamentos
-    res.json(rows.map(r => ({ ...r, equipamentos: [] })));
+    console.error("Erro ao listar usuários:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar usuários" });
+  }
+});
+
+app.post("/admin/usuarios", async (req, res) => {
+  try {
+    res.status(201).json(await createUser(req.body || {}));
+  } catch (err) {
+    if (err.name === "AuthError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao criar usuário:", err.message || err);
+    res.status(500).json({ error: "Erro ao criar usuário" });
+  }
+});
+
+// { papel?, nome?, ativo?, senha? }
+app.put("/admin/usuarios/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  const { papel, nome, ativo, senha } = req.body || {};
+
+  // evita que o admin tire o próprio acesso
+  if (id === req.usuario.id && ((papel !== undefined && papel !== "admin") || ativo === false)) {
+    return res.status(400).json({ error: "Você não pode remover o seu próprio acesso de admin" });
+  }
+
+  try {
+    const usuario = await updateUser(id, { papel, nome, ativo, senha });
+    if (!usuario) return res.status(404).json({ error: "Usuário não encontrado" });
+    res.json(usuario);
+  } catch (err) {
+    if (err.name === "AuthError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao atualizar usuário:", err.message || err);
+    res.status(500).json({ error: "Erro ao atualizar usuário" });
+  }
+});
+
+// Admin: invalidar cache de geocoding
+// ?id_odoo=123 → endereço atual do cliente | ?cep=01001000 → todas as entradas do CEP | ?todos=1 → tudo
+// com id_odoo o cliente é geocodificado de novo já (ou na próxima sincronização, se houver uma rodando):
+// sem isso a incremental pula o parceiro, que não mudou no Odoo, e as coordenadas ruins ficam
+app.delete("/admin/geocode-cache", async (req, res) => {
+  const { id_odoo, cep, todos } = req.query;
+
+  if (!id_odoo && !cep && todos !== "1") {
+    return res.status(400).json({ error: "Informe id_odoo, cep ou todos=1" });
+  }
+
+  try {
+    const partnerId = id_odoo ? Number(id_odoo) : null;
+    const removidos = await invalidateGeocodeCache({ id_odoo: partnerId, cep, todos: todos === "1" });
+    if (!partnerId) return res.json({ removidos });
+
+    const iniciada = await startSync({ partnerId, gatilho: "manual" });
+    if (!iniciada) await markPartnerForResync(partnerId);
+    res.json({ removidos, sincronizacao: iniciada ? "iniciada" : "na_proxima_execucao" });
+  } catch (err) {
+    console.error("Erro ao invalidar cache de geocoding:", err.message || err);
+    res.status(500).json({ error: "Erro ao invalidar cache de geocoding" });
+  }
+});
+
+// Admin: upload da planilha de clientes
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const uploadPlanilha = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      const safe = path.basename(file.originalname).replace(/[^\w.\-]+/g, "_");
+      cb(null, `${Date.now()}-${safe}`);
+    },
+  }),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(xlsx|xls|csv)$/i.test(file.originalname));
+  },
+});
+
+// Envia a planilha → fica "pendente" e devolve a pré-visualização
+app.post("/admin/planilha", uploadPlanilha.single("arquivo"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "Envie um arquivo .xlsx, .xls ou .csv no campo 'arquivo'" });
+  }
+
+  try {
+    const { id, preview } = await registerUpload({
+      arquivo: req.file.filename,
+      nomeOriginal: req.file.originalname,
+    });
+    res.status(201).json({ id, status: "pendente", preview });
+  } catch (err) {
+    if (err.name === "PlanilhaError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao registrar planilha:", err.message || err);
+    res.status(500).json({ error: "Erro ao registrar planilha" });
+  }
+});
+
+app.get("/admin/planilhas", async (req, res) => {
+  try {
+    res.json(await listUploads());
+  } catch (err) {
+    console.error("Erro ao listar planilhas:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar planilhas" });
+  }
+});
+
+app.get("/admin/planilha/:id", async (req, res) => {
+  try {
+    const upload = await getUpload(Number(req.params.id));
+    if (!upload) return res.status(404).json({ error: "Planilha não encontrada" });
+    res.json(upload);
+  } catch (err) {
+    console.error("Erro ao buscar planilha:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar planilha" });
+  }
+});
+
+// Aceita um upload pendente (ou volta para uma planilha antiga) e dispara a sincronização
+app.post("/admin/planilha/:id/ativar", async (req, res) => {
+  try {
+    const upload = await activateUpload(Number(req.params.id));
+    if (!upload) return res.status(404).json({ error: "Planilha não encontrada" });
+
+    // roda em segundo plano; se já houver uma em andamento, a próxima pega a nova planilha
+    const iniciada = await startSync({ gatilho: "upload" });
+    res.status(202).json({
+      id: upload.id,
+      status: upload.status,
+      sincronizacao: iniciada ? "iniciada" : "ja_em_andamento",
+    });
+  } catch (err) {
+    if (err.name === "PlanilhaError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao ativar planilha:", err.message || err);
+    res.status(500).json({ error: "Erro ao ativar planilha" });
+  }
+});
+
+app.delete("/admin/planilha/:id", async (req, res) => {
+  try {
+    const upload = await discardUpload(Number(req.params.id));
+    if (!upload) return res.status(404).json({ error: "Planilha não encontrada" });
+    res.json({ id: upload.id, status: upload.status });
+  } catch (err) {
+    if (err.name === "PlanilhaError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao descartar planilha:", err.message || err);
+    res.status(500).json({ error: "Erro ao descartar planilha" });
+  }
+});
+
+// Admin: fila de revisão de nomes da planilha não encontrados no Odoo
+app.get("/admin/nao-encontrados", async (req, res) => {
+  const status = ["pendente", "vinculado", "ignorado"].includes(req.query.status)
+    ? req.query.status
+    : "pendente";
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    res.json(await listNotFound({ status, limit, offset }));
+  } catch (err) {
+    console.error("Erro ao listar não encontrados:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar não encontrados" });
+  }
+});
+
+// body: { nome, id_odoo } → grava o alias e já dispara uma sincronização incremental
+app.post("/admin/nao-encontrados/vincular", async (req, res) => {
+  const { nome, id_odoo } = req.body || {};
+  if (!nome || !(Number(id_odoo) > 0)) {
+    return res.status(400).json({ error: "Informe nome e id_odoo" });
+  }
+
+  try {
+    await linkAlias(String(nome), Number(id_odoo));
+    await markEntryForResync(String(nome));
+    const iniciada = await startSync({ gatilho: "manual" });
+    res.json({ nome, id_odoo: Number(id_odoo), sincronizacao: iniciada ? "iniciada" : "na_proxima_execucao" });
+  } catch (err) {
+    console.error("Erro ao vincular nome:", err.message || err);
+    res.status(500).json({ error: "Erro ao vincular nome" });
+  }
+});
+
+app.post("/admin/nao-encontrados/ignorar", async (req, res) => {
+  const { nome } = req.body || {};
+  if (!nome) return res.status(400).json({ error: "Informe nome" });
+
+  try {
+    if (!(await ignoreNotFound(String(nome)))) {
+      return res.status(404).json({ error: "Nome não está na fila" });
+    }
+    res.json({ nome, status: "ignorado" });
+  } catch (err) {
+    console.error("Erro ao ignorar nome:", err.message || err);
+    res.status(500).json({ error: "Erro ao ignorar nome" });
+  }
+});
+
+app.get("/admin/aliases", async (req, res) => {
+  try {
+    res.json(await listAliases());
+  } catch (err) {
+    console.error("Erro ao listar aliases:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar aliases" });
+  }
+});
+
+app.delete("/admin/aliases", async (req, res) => {
+  const { nome } = req.body || {};
+  if (!nome) return res.status(400).json({ error: "Informe nome" });
+
+  try {
+    if (!(await removeAlias(String(nome)))) return res.status(404).json({ error: "Alias não encontrado" });
+    await markEntryForResync(String(nome));
+    res.json({ nome, removido: true });
+  } catch (err) {
+    console.error("Erro ao remover alias:", err.message || err);
+    res.status(500).json({ error: "Erro ao remover alias" });
+  }
+});
+
+// Admin: catálogo canônico de equipamentos
+app.get("/admin/equipamentos/catalogo", async (req, res) => {
+  try {
+    res.json(await listCatalogo());
+  } catch (err) {
+    console.error("Erro ao listar catálogo:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar catálogo" });
+  }
+});
+
+// body: { nome, codigo?, categoria?, aliases?: [] }
+app.post("/admin/equipamentos/catalogo", async (req, res) => {
+  try {
+    res.status(201).json(await createCatalogItem(req.body || {}));
+  } catch (err) {
+    if (err.name === "CatalogoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao criar item do catálogo:", err.message || err);
+    res.status(500).json({ error: "Erro ao criar item do catálogo" });
+  }
+});
+
+// body: { nome?, codigo?, categoria?, aliases?: [] } (aliases substitui a lista inteira)
+app.put("/admin/equipamentos/catalogo/:id", async (req, res) => {
+  try {
+    const item = await updateCatalogItem(Number(req.params.id), req.body || {});
+    if (!item) return res.status(404).json({ error: "Item não encontrado" });
+    res.json(item);
+  } catch (err) {
+    if (err.name === "CatalogoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao atualizar item do catálogo:", err.message || err);
+    res.status(500).json({ error: "Erro ao atualizar item do catálogo" });
+  }
+});
+
+app.get("/admin/equipamentos/desconhecidos", async (req, res) => {
+  const status = ["pendente", "classificado", "ignorado"].includes(req.query.status)
+    ? req.query.status
+    : "pendente";
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    res.json(await listDesconhecidos({ status, limit, offset }));
+  } catch (err) {
+    console.error("Erro ao listar equipamentos desconhecidos:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar equipamentos desconhecidos" });
+  }
+});
+
+// body: { nome, catalogo_id } ou { nome, novo: { nome, codigo?, categoria? } }
+app.post("/admin/equipamentos/desconhecidos/classificar", async (req, res) => {
+  const { nome, catalogo_id, novo } = req.body || {};
+  if (!nome || (!(Number(catalogo_id) > 0) && !novo)) {
+    return res.status(400).json({ error: "Informe nome e catalogo_id (ou novo)" });
+  }
+
+  try {
+    const item = await classificarDesconhecido(String(nome), {
+      catalogoId: Number(catalogo_id) || null,
+      novo: novo || null,
+    });
+    if (!item) return res.status(404).json({ error: "Item do catálogo não encontrado" });
+    res.json({ nome, item });
+  } catch (err) {
+    if (err.name === "CatalogoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao classificar equipamento:", err.message || err);
+    res.status(500).json({ error: "Erro ao classificar equipamento" });
+  }
+});
+
+app.post("/admin/equipamentos/desconhecidos/ignorar", async (req, res) => {
+  const { nome } = req.body || {};
+  if (!nome) return res.status(400).json({ error: "Informe nome" });
+
+  try {
+    if (!(await ignorarDesconhecido(String(nome)))) {
+      return res.status(404).json({ error: "Nome não está na fila" });
+    }
+    res.json({ nome, status: "ignorado" });
+  } catch (err) {
+    console.error("Erro ao ignorar equipamento:", err.message || err);
+    res.status(500).json({ error: "Erro ao ignorar equipamento" });
+  }
+});
+
+// Sincronização manual
+// body: { modo?: "incremental" | "completo", partnerId?: number }
+app.post("/sync/run", async (req, res) => {
+  const { modo = "incremental", partnerId } = req.body || {};
+
+  if (!["incremental", "completo"].includes(modo)) {
+    return res.status(400).json({ error: "modo deve ser 'incremental' ou 'completo'" });
+  }
+  if (partnerId !== undefined && !(Number(partnerId) > 0)) {
+    return res.status(400).json({ error: "partnerId inválido" });
+  }
+
+  try {
+    const iniciada = await startSync({
+      modo,
+      partnerId: partnerId ? Number(partnerId) : null,
+      gatilho: "manual",
+    });
+    if (!iniciada) return res.status(409).json({ error: "Já existe uma sincronização em andamento" });
+    res.status(202).json({ iniciada: true });
+  } catch (err) {
+    console.error("Erro ao iniciar sincronização:", err.message || err);
+    res.status(500).json({ error: "Erro ao iniciar sincronização" });
+  }
+});
+
+app.post("/sync/cancel", (req, res) => {
+  if (!cancelSync()) {
+    return res.status(409).json({ error: "Nenhuma sincronização em andamento neste servidor" });
+  }
+  res.status(202).json({ cancelamento: "solicitado" });
+});
+
+// Simulação (dry-run): o que a sincronização mudaria, sem gravar nada
+// query: planilha? (id de um upload; padrão = ativa), km? (limite para pins que mudam)
+// só o cache de geocoding: chamar os provedores pode levar horas (npm run sync:simular -- --geocodificar)
+app.get("/sync/simulacao", async (req, res) => {
+  if (req.query.geocodificar !== undefined) {
+    return res.status(400).json({ error: "Geocodificação só pela linha de comando: npm run sync:simular -- --geocodificar" });
+  }
+  const km = req.query.km === undefined ? SIMULACAO_KM_PADRAO : Number(req.query.km);
+  if (!(km > 0)) return res.status(400).json({ error: "km deve ser um número maior que zero" });
+  if (req.query.planilha !== undefined && !(Number(req.query.planilha) > 0)) {
+    return res.status(400).json({ error: "planilha inválida" });
+  }
+
+  try {
+    res.json(
+      await simularSync({
+        planilhaId: req.query.planilha ? Number(req.query.planilha) : null,
+        km,
+      })
+    );
+  } catch (err) {
+    if (err.name === "SimulacaoError") return res.status(400).json({ error: err.message });
+    console.error("Erro ao simular sincronização:", err.message || err);
+    res.status(500).json({ error: "Erro ao simular sincronização" });
+  }
+});
+
+// Sincronização: status e histórico de execuções
+app.get("/sync/status", async (req, res) => {
+  try {
+    res.json(await getSyncStatus());
+  } catch (err) {
+    console.error("Erro ao buscar status da sincronização:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar status da sincronização" });
+  }
+});
+
+app.get("/sync/runs", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+  try {
+    res.json(await listRuns(limit));
+  } catch (err) {
+    console.error("Erro ao listar execuções:", err.message || err);
+    res.status(500).json({ error: "Erro ao listar execuções" });
+  }
+});
+
+app.get("/sync/runs/:id", async (req, res) => {
+  try {
+    const run = await getRun(Number(req.params.id));
+    if (!run) return res.status(404).json({ error: "Execução não encontrada" });
+    res.json(run);
+  } catch (err) {
+    console.error("Erro ao buscar execução:", err.message || err);
+    res.status(500).json({ error: "Erro ao buscar execução" });
   }
 });
 
@@ -54,11 +855,27 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "../../frontend/index.html"));
 });
 
-// // Sincroniza ao iniciar
-syncClientes();
+// Banco em dia (migrations pendentes) antes de atender requisições, do admin
+// inicial e da sincronização
+const PORT = process.env.PORT || 3000;
 
-// // Sincroniza a cada 20 minutos
-setInterval(syncClientes, 30 * 60 * 1000);
+runMigrations()
+  .then(async (feitas) => {
+    if (feitas.length) console.log(`🗄️ Migrations aplicadas: ${feitas.join(", ")}`);
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 Servidor rodando em: http://localhost:${PORT}`));
+    app.listen(PORT, () => console.log(`🚀 Servidor rodando em: http://localhost:${PORT}`));
+
+    await ensureBootstrapAdmin().catch((err) =>
+      console.error("Erro ao preparar usuários:", err.message || err)
+    );
+
+    // // Sincroniza ao iniciar
+    syncClientes({ gatilho: "inicio" });
+
+    // // Sincroniza a cada 20 minutos
+    setInterval(() => syncClientes({ gatilho: "agendado" }), 30 * 60 * 1000);
+  })
+  .catch((err) => {
+    console.error("❌ Não foi possível aplicar as migrations:", err.message || err);
+    process.exit(1);
+  });
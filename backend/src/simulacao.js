@@ -0,0 +1,284 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import db from "./db.js";
+import { readCustomersFromXlsx, findCustomersInOdoo, getPartnersByIds } from "./odoo.js";
+import { getActiveSheetPath, getUpload, SHEET_OPTIONS, UPLOAD_DIR } from "./planilhas.js";
+import { getAliases } from "./revisao.js";
+import { montarCliente, carregarEquipamentos, EQUIPAMENTOS_FONTE } from "./sync.js";
+import { CAMPOS_HISTORICO } from "./historico.js";
+import { acquireSyncLock } from "./syncLock.js";
+
+/** =======================
+ * Simulação da sincronização (dry-run)
+ * -----------------------
+ * Percorre o mesmo caminho de syncClientes() no modo completo (planilha →
+ * match no Odoo → linha de clientes → equipamentos) sem gravar nada no MySQL
+ * e compara com o banco:
+ * - novos: parceiros que ainda não estão em clientes
+ * - alterados: diferença campo a campo com a linha atual
+ * - sem_match: nomes da planilha sem parceiro (nao_encontrado | ambiguo)
+ * - coordenadas: pins que andariam mais de `km` (correções manuais ficam de fora)
+ * - equipamentos: itens que entrariam, sairiam ou mudariam de quantidade
+ *
+ * O geocoding usa só o cache; com geocodificar = true (só pela linha de
+ * comando) os provedores são chamados para o que faltar — lento, respeita as
+ * pausas entre requisições e segura a trava da sincronização, que usa os
+ * mesmos limites dos provedores.
+ * ======================= */
+export const SIMULACAO_KM_PADRAO = 1;
+
+function simulacaoError(message) {
+  const err = new Error(message);
+  err.name = "SimulacaoError";
+  return err;
+}
+
+function texto(value) {
+  return String(value ?? "").trim();
+}
+
+function distanciaKm(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+async function resolverPlanilha({ planilhaId, arquivo }) {
+  if (arquivo) return path.resolve(arquivo);
+  if (!planilhaId) return getActiveSheetPath();
+
+  const upload = await getUpload(planilhaId);
+  if (!upload) throw simulacaoError(`Planilha ${planilhaId} não encontrada`);
+  if (upload.status === "descartada") throw simulacaoError(`Planilha ${planilhaId} foi descartada`);
+  return path.join(UPLOAD_DIR, upload.arquivo);
+}
+
+function diffCampos(atual, novo, geocodificado) {
+  const campos = [];
+  for (const campo of CAMPOS_HISTORICO) {
+    // sem geocoding a UF pode faltar só na simulação
+    if (campo === "estado" && !novo.estado && !geocodificado) continue;
+    if (texto(atual[campo]) !== texto(novo[campo])) {
+      campos.push({ campo, atual: atual[campo] ?? null, novo: novo[campo] ?? null });
+    }
+  }
+  return campos;
+}
+
+function diffEquipamentos(atuais, novos) {
+  const antes = new Map(atuais.map((e) => [e.nome, e.quantidade]));
+  const depois = new Map(novos.map((e) => [e.nome, e.quantidade]));
+
+  const adicionados = novos.filter((e) => !antes.has(e.nome)).map(({ nome, quantidade }) => ({ nome, quantidade }));
+  const removidos = atuais.filter((e) => !depois.has(e.nome)).map(({ nome, quantidade }) => ({ nome, quantidade }));
+  const quantidade = novos
+    .filter((e) => antes.has(e.nome) && (antes.get(e.nome) ?? null) !== (e.quantidade ?? null))
+    .map((e) => ({ nome: e.nome, atual: antes.get(e.nome), novo: e.quantidade }));
+
+  return adicionados.length || removidos.length || quantidade.length ? { adicionados, removidos, quantidade } : null;
+}
+
+async function carregarAtuais(idsOdoo) {
+  if (!idsOdoo.length) return { clientes: new Map(), equipamentos: new Map() };
+
+  const [clientes] = await db.query(`SELECT * FROM clientes WHERE id_odoo IN (?)`, [idsOdoo]);
+  const equipamentos = new Map();
+
+  if (clientes.length) {
+    const [itens] = await db.query(`SELECT cliente_id, nome, quantidade FROM equipamentos WHERE cliente_id IN (?)`, [
+      clientes.map((c) => c.id),
+    ]);
+    for (const it of itens) {
+      if (!equipamentos.has(it.cliente_id)) equipamentos.set(it.cliente_id, []);
+      equipamentos.get(it.cliente_id).push(it);
+    }
+  }
+
+  return { clientes: new Map(clientes.map((c) => [c.id_odoo, c])), equipamentos };
+}
+
+/**
+ * Gera o relatório do que a sincronização faria. Opções:
+ * { planilhaId?, arquivo?, km?, geocodificar? } — sem planilha, usa a ativa.
+ * Lança SimulacaoError para planilha inexistente ou, com geocodificar, se
+ * houver uma sincronização em andamento.
+ */
+export async function simularSync(opcoes = {}) {
+  if (!opcoes.geocodificar) return montarRelatorio(opcoes);
+
+  const lock = await acquireSyncLock();
+  if (!lock) throw simulacaoError("Sincronização em andamento; simule com geocodificação depois que ela terminar");
+  try {
+    return await montarRelatorio(opcoes);
+  } finally {
+    await lock.release();
+  }
+}
+
+async function montarRelatorio({ planilhaId = null, arquivo = null, km = SIMULACAO_KM_PADRAO, geocodificar = false }) {
+  const filePath = await resolverPlanilha({ planilhaId, arquivo });
+  let entries;
+  try {
+    entries = readCustomersFromXlsx(filePath, SHEET_OPTIONS);
+  } catch (err) {
+    throw simulacaoError(`Planilha inválida: ${err.message || err}`);
+  }
+
+  // --- Match (mesma ordem da sincronização: aliases antes da busca) ---
+  const aliases = await getAliases();
+  const aliasEntries = entries.filter((e) => aliases.has(e.name));
+  const searchEntries = entries.filter((e) => !aliases.has(e.name));
+
+  const aliasPartners = aliasEntries.length ? await getPartnersByIds(aliasEntries.map((e) => aliases.get(e.name))) : [];
+  const aliasById = new Map(aliasPartners.map((p) => [p.id, p]));
+  const { ambiguous, matches } = searchEntries.length
+    ? await findCustomersInOdoo(searchEntries)
+    : { ambiguous: [], matches: new Map() };
+  const ambiguousSet = new Set(ambiguous);
+
+  // parceiro → última linha da planilha vinculada (a sincronização grava na ordem da planilha)
+  const porParceiro = new Map();
+  const semMatch = [];
+  for (const entry of entries) {
+    let partner = null;
+    let match = null;
+    if (aliases.has(entry.name)) {
+      partner = aliasById.get(aliases.get(entry.name)) || null;
+      match = partner ? { score: 1, metodo: "alias" } : null;
+    } else {
+      match = matches.get(entry.name) || null;
+      partner = match?.partner || null;
+    }
+
+    if (partner) porParceiro.set(partner.id, { entry, partner, match });
+    else semMatch.push({ nome: entry.name, motivo: ambiguousSet.has(entry.name) ? "ambiguo" : "nao_encontrado" });
+  }
+
+  // --- Comparação com o banco ---
+  const atuais = await carregarAtuais([...porParceiro.keys()]);
+  const novos = [];
+  const alterados = [];
+  const coordenadas = [];
+  const equipamentos = [];
+  const semCoordenadas = [];
+  let inalterados = 0;
+
+  for (const { entry, partner, match } of porParceiro.values()) {
+    const { linha, geo } = await montarCliente(partner, match, { simulacao: true, provedores: geocodificar });
+    const atual = atuais.clientes.get(partner.id) || null;
+    const base = { id_odoo: partner.id, id: atual?.id ?? null, nome: linha.nome, planilha: entry.name };
+
+    if (linha.endereco_completo && !geo) semCoordenadas.push(base);
+
+    const equip = await carregarEquipamentos(partner.id, entry, { gravar: false });
+    const diffEquip = equip ? diffEquipamentos(atual ? atuais.equipamentos.get(atual.id) || [] : [], equip) : null;
+    if (diffEquip) equipamentos.push({ ...base, ...diffEquip });
+
+    if (!atual) {
+      novos.push({ ...base, cidade: linha.cidade, estado: linha.estado, latitude: linha.latitude, longitude: linha.longitude });
+      continue;
+    }
+
+    const campos = diffCampos(atual, linha, !!geo);
+    if (campos.length) alterados.push({ ...base, campos });
+
+    // coordenadas corrigidas manualmente nunca são sobrescritas
+    let moveu = false;
+    if (geo && Number(atual.localizacao_manual) !== 1) {
+      const de = atual.latitude !== null && atual.longitude !== null
+        ? { latitude: Number(atual.latitude), longitude: Number(atual.longitude) }
+        : null;
+      const para = { latitude: linha.latitude, longitude: linha.longitude };
+      const distancia = de ? distanciaKm(de.latitude, de.longitude, para.latitude, para.longitude) : null;
+
+      if (!de || distancia > km) {
+        coordenadas.push({ ...base, de, para, distancia_km: distancia === null ? null : Number(distancia.toFixed(2)) });
+        moveu = true;
+      }
+    }
+
+    if (!campos.length && !moveu && !diffEquip) inalterados++;
+  }
+
+  return {
+    gerado_em: new Date().toISOString(),
+    planilha: path.basename(filePath),
+    parametros: { km, geocodificar, fonte_equipamentos: EQUIPAMENTOS_FONTE },
+    resumo: {
+      linhas_planilha: entries.length,
+      parceiros: porParceiro.size,
+      novos: novos.length,
+      alterados: alterados.length,
+      inalterados,
+      sem_match: semMatch.length,
+      coordenadas: coordenadas.length,
+      equipamentos: equipamentos.length,
+      sem_coordenadas: semCoordenadas.length,
+    },
+    novos,
+    alterados,
+    sem_match: semMatch,
+    coordenadas,
+    equipamentos,
+    sem_coordenadas: semCoordenadas,
+  };
+}
+
+/* ======================================================
+   EXECUÇÃO DIRETA
+   npm run sync:simular -- [--planilha=ID | --arquivo=caminho.xlsx] [--km=N] [--geocodificar] [--json]
+====================================================== */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const valor = (nome) => args.find((a) => a.startsWith(`--${nome}=`))?.split("=").slice(1).join("=");
+
+  const opcoes = {
+    planilhaId: Number(valor("planilha")) || null,
+    arquivo: valor("arquivo") || null,
+    km: Number(valor("km")) > 0 ? Number(valor("km")) : SIMULACAO_KM_PADRAO,
+    geocodificar: args.includes("--geocodificar"),
+  };
+
+  simularSync(opcoes)
+    .then((relatorio) => {
+      if (args.includes("--json")) {
+        console.log(JSON.stringify(relatorio, null, 2));
+        return;
+      }
+
+      const { resumo } = relatorio;
+      console.log(`📄 Planilha: ${relatorio.planilha} (${resumo.linhas_planilha} linhas, ${resumo.parceiros} parceiros)`);
+      console.log(`➕ Novos: ${resumo.novos}`);
+      for (const c of relatorio.novos) console.log(`   [odoo=${c.id_odoo}] ${c.nome} — ${c.cidade || "-"}/${c.estado || "-"}`);
+      console.log(`✏️ Alterados: ${resumo.alterados} | inalterados: ${resumo.inalterados}`);
+      for (const c of relatorio.alterados) {
+        console.log(`   [id=${c.id}] ${c.nome}`);
+        for (const d of c.campos) console.log(`      ${d.campo}: "${d.atual ?? ""}" → "${d.novo ?? ""}"`);
+      }
+      console.log(`📍 Coordenadas movendo mais de ${opcoes.km} km: ${resumo.coordenadas}`);
+      for (const c of relatorio.coordenadas) {
+        console.log(`   [id=${c.id}] ${c.nome}: ${c.distancia_km === null ? "sem coordenadas antes" : `${c.distancia_km} km`}`);
+      }
+      console.log(`🧰 Equipamentos alterados: ${resumo.equipamentos}`);
+      for (const c of relatorio.equipamentos) {
+        const partes = [
+          ...c.adicionados.map((e) => `+${e.nome}`),
+          ...c.removidos.map((e) => `-${e.nome}`),
+          ...c.quantidade.map((e) => `${e.nome} ${e.atual ?? "?"}→${e.novo ?? "?"}`),
+        ];
+        console.log(`   [odoo=${c.id_odoo}] ${c.nome}: ${partes.join("; ")}`);
+      }
+      console.log(`❌ Sem match no Odoo: ${resumo.sem_match}`);
+      for (const s of relatorio.sem_match) console.log(`   ${s.nome} (${s.motivo})`);
+      if (resumo.sem_coordenadas) {
+        console.log(`ℹ️ Sem coordenadas no cache (use --geocodificar): ${resumo.sem_coordenadas}`);
+      }
+    })
+    .catch((err) => {
+      console.error("Erro:", err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
@@ -1,7 +1,48 @@
 import db from "./db.js";
-import { getCustomersFromSheet } from "./odoo.js";
+import {
+  readCustomersFromXlsx,
+  findCustomersInOdoo,
+  getPartnersByIds,
+  getSaleOrderLines,
+  getPartnerIdsWithOrdersSince,
+} from "./odoo.js";
 import geocode from "./geocode.js";
-import path from "path";
+import { getCachedGeocode, saveGeocodeCache } from "./geocodeCache.js";
+import { parseEquipmentList, parseOrderLines } from "./equipamentos.js";
+import { getActiveSheetPath, SHEET_OPTIONS } from "./planilhas.js";
+import {
+  startRun,
+  setRunTotal,
+  updateRunProgress,
+  finishRun,
+  getLiveProgress,
+  getLastFinishedRun,
+  getCurrentRunId,
+} from "./syncRuns.js";
+import { acquireSyncLock, isSyncRunning } from "./syncLock.js";
+import { runMigrations } from "./migrate.js";
+import { diffCliente, equipamentosTexto, registrarHistorico } from "./historico.js";
+import { getAliases, recordNotFound, clearFound } from "./revisao.js";
+import { recordDuplicates } from "./duplicados.js";
+import { resolveEquipamentos, migrateEquipamentos } from "./equipamentoCatalogo.js";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+/** =======================
+ * Fonte dos equipamentos (EQUIPAMENTOS_FONTE no .env)
+ * -----------------------
+ * - planilha (padrão): coluna "Itens do pedido" da planilha
+ * - odoo: linhas dos pedidos de venda confirmados do parceiro
+ * - ambos: pedidos do Odoo + itens da planilha que não aparecem neles
+ * ======================= */
+export const FONTES_EQUIPAMENTOS = ["planilha", "odoo", "ambos"];
+
+export const EQUIPAMENTOS_FONTE = (() => {
+  const fonte = String(process.env.EQUIPAMENTOS_FONTE || "planilha").trim().toLowerCase();
+  if (FONTES_EQUIPAMENTOS.includes(fonte)) return fonte;
+  console.warn(`⚠️ EQUIPAMENTOS_FONTE inválida ("${fonte}"), usando "planilha".`);
+  return "planilha";
+})();
 
 /** =======================
  * Helpers
@@ -39,31 +80,12 @@ function buildEnderecoCompleto({ logradouro, numero, bairro, cidade, uf, cep, pa
 /** =======================
  * Persistência do cursor de sincronização
  * ======================= */
-async function ensureSyncStateTable() {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS sync_state (
-      id INT PRIMARY KEY,
-      last_odoo_id INT NULL,
-      last_entry_name VARCHAR(255) NULL,
-      paused_since DATETIME NULL,
-      paused_reason VARCHAR(255) NULL,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  // Garantir colunas (caso tabela já exista sem as novas colunas)
-  try { await db.query(`ALTER TABLE sync_state ADD COLUMN paused_since DATETIME NULL`); } catch {}
-  try { await db.query(`ALTER TABLE sync_state ADD COLUMN paused_reason VARCHAR(255) NULL`); } catch {}
-}
-
 async function getSyncCursor() {
-  await ensureSyncStateTable();
   const [rows] = await db.query(`SELECT last_odoo_id, last_entry_name FROM sync_state WHERE id = 1 LIMIT 1`);
   return rows && rows[0] ? rows[0] : { last_odoo_id: null, last_entry_name: null };
 }
 
 async function setSyncCursor({ last_odoo_id = null, last_entry_name = null }) {
-  await ensureSyncStateTable();
   await db.query(
     `INSERT INTO sync_state (id, last_odoo_id, last_entry_name)
      VALUES (1, ?, ?)
@@ -73,7 +95,6 @@ async function setSyncCursor({ last_odoo_id = null, last_entry_name = null }) {
 }
 
 async function setPause(reason = null) {
-  await ensureSyncStateTable();
   await db.query(
     `INSERT INTO sync_state (id, paused_since, paused_reason)
      VALUES (1, NOW(), ?)
@@ -83,23 +104,151 @@ async function setPause(reason = null) {
 }
 
 async function clearPause() {
-  await ensureSyncStateTable();
   await db.query(`UPDATE sync_state SET paused_since = NULL, paused_reason = NULL WHERE id = 1`);
 }
 
 async function getPauseState() {
-  await ensureSyncStateTable();
   const [rows] = await db.query(`SELECT paused_since, paused_reason FROM sync_state WHERE id = 1 LIMIT 1`);
   return rows && rows[0] ? rows[0] : { paused_since: null, paused_reason: null };
 }
 
+/**
+ * Momento (UTC, mesmo fuso do write_date do Odoo) da última sincronização
+ * concluída sem interrupção. Formato "YYYY-MM-DD HH:MM:SS".
+ */
+async function getLastSyncAt() {
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(last_sync_at, '%Y-%m-%d %H:%i:%s') AS last_sync_at FROM sync_state WHERE id = 1 LIMIT 1`
+  );
+  return rows && rows[0] ? rows[0].last_sync_at : null;
+}
+
+async function setLastSyncAt(utcString) {
+  await db.query(
+    `INSERT INTO sync_state (id, last_sync_at)
+     VALUES (1, ?)
+     ON DUPLICATE KEY UPDATE last_sync_at = VALUES(last_sync_at)`,
+    [utcString]
+  );
+}
+
+function toOdooDatetime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/** =======================
+ * Estado das linhas da planilha (para detectar linhas novas/alteradas)
+ * ======================= */
+function hashEntry(entry) {
+  const raw = `${String(entry?.name || "").trim()}|${String(entry?.equipment || "").trim()}`;
+  return crypto.createHash("sha1").update(raw).digest("hex");
+}
+
+async function getPlanilhaLinhas() {
+  const [rows] = await db.query(`SELECT nome, hash, id_odoo FROM planilha_linhas`);
+  return new Map((rows || []).map((r) => [r.nome, r]));
+}
+
+async function savePlanilhaLinha(entry, idOdoo) {
+  await db.query(
+    `INSERT INTO planilha_linhas (nome, hash, id_odoo)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE hash = VALUES(hash), id_odoo = VALUES(id_odoo)`,
+    [String(entry.name).slice(0, 255), hashEntry(entry), idOdoo]
+  );
+}
+
+/**
+ * Força o parceiro a ser reprocessado na próxima execução incremental
+ * (invalida o hash da linha da planilha vinculada a ele).
+ */
+export async function markPartnerForResync(idOdoo) {
+  await db.query(`UPDATE planilha_linhas SET hash = '' WHERE id_odoo = ?`, [idOdoo]);
+}
+
+/**
+ * Força uma linha da planilha (pelo nome) a passar de novo pelo match no Odoo.
+ */
+export async function markEntryForResync(nome) {
+  await db.query(`UPDATE planilha_linhas SET hash = '' WHERE nome = ?`, [nome]);
+}
+
 let clearedPauseOnStartup = false;
+let cancelRequested = false;
+
+export { isSyncRunning };
+
+/**
+ * Pede o cancelamento da execução em andamento (checado entre um cliente e outro).
+ * Retorna false se não houver execução neste processo.
+ */
+export function cancelSync() {
+  if (!isSyncRunning()) return false;
+  cancelRequested = true;
+  return true;
+}
+
+async function runWithLock(lock, options) {
+  try {
+    await runSync(options);
+  } finally {
+    cancelRequested = false;
+    await lock.release();
+  }
+}
+
+async function tryAcquireLock() {
+  try {
+    return await acquireSyncLock();
+  } catch (err) {
+    console.error("❌ Não foi possível obter a trava da sincronização:", err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Executa a sincronização e aguarda o fim. Se já houver uma execução em
+ * andamento (neste ou em outro processo), não faz nada e retorna false.
+ */
+export async function syncClientes(options = {}) {
+  const lock = await tryAcquireLock();
+  if (!lock) {
+    console.log("⏭️ Sincronização já em andamento, ignorando novo disparo.");
+    return false;
+  }
+
+  await runWithLock(lock, options);
+  return true;
+}
+
+/**
+ * Igual a syncClientes, mas retorna assim que a trava é obtida e deixa a
+ * execução rodando em segundo plano (usado pelas rotas HTTP).
+ */
+export async function startSync(options = {}) {
+  const lock = await tryAcquireLock();
+  if (!lock) return false;
+
+  runWithLock(lock, options).catch((err) => console.error("❌ ERRO PRINCIPAL:", err));
+  return true;
+}
 
 /** =======================
  * Sync principal
+ * -----------------------
+ * modo "incremental" (padrão): só reprocessa linhas novas/alteradas da planilha
+ *   e parceiros com write_date posterior à última sincronização concluída.
+ * modo "completo": relê a planilha inteira e reprocessa todos os parceiros.
+ * Sem last_sync_at registrado, o incremental cai no completo.
+ *
+ * gatilho: quem disparou (inicio | agendado | upload | manual | cli), gravado em sync_runs.
+ * partnerId: sincroniza só esse parceiro do Odoo (não mexe no cursor nem em last_sync_at).
  * ======================= */
-export async function syncClientes() {
-  console.log("🔄 Sincronizando clientes DO EXCEL + Odoo…");
+async function runSync({ modo = "incremental", gatilho = "agendado", partnerId = null } = {}) {
+  if (partnerId) return syncParceiro(partnerId, gatilho);
+
+  console.log(`🔄 Sincronizando clientes DO EXCEL + Odoo… (modo ${modo})`);
+  const startedAt = toOdooDatetime(new Date());
 
   try {
     // Ao iniciar o processo (primeira execução após restart), limpa o pause
@@ -110,7 +259,10 @@ export async function syncClientes() {
     } else {
       // Se estiver pausado por erro de rede, aguardar até 7h para tentar novamente
       const pause = await getPauseState();
-      if (pause?.paused_since) {
+      if (pause?.paused_since && gatilho === "manual") {
+        console.log("▶️ Disparo manual: ignorando pausa por erro de rede.");
+        await clearPause();
+      } else if (pause?.paused_since) {
         const [rows] = await db.query(`SELECT TIMESTAMPDIFF(HOUR, ?, NOW()) AS diffh`, [pause.paused_since]);
         const diffh = rows && rows[0] ? rows[0].diffh : 0;
         if (diffh < 7) {
@@ -123,86 +275,119 @@ export async function syncClientes() {
       }
     }
 
-    // 🔥 CAMINHO DO ARQUIVO EXCEL
-    const filePath = path.resolve(process.cwd(), "clientes.xlsx");
-
-    // ✅ BUSCA os clientes no Odoo a partir dos nomes na planilha
-    const { requested, customers, notFound } = await getCustomersFromSheet(filePath, {
-      equipmentColumn: "Itens do pedido",
-    });
+    await startRun({ gatilho, modo });
 
-    console.log(`📄 Clientes na planilha: ${requested.length}`);
-    if (notFound.length) {
-      console.warn("⚠️ Clientes não encontrados no Odoo:", notFound);
+    // linhas de equipamentos gravadas antes do catálogo (ou com nomes classificados depois)
+    try {
+      const migrados = await migrateEquipamentos();
+      if (migrados) console.log(`🧰 Equipamentos migrados para o catálogo: ${migrados}`);
+    } catch (err) {
+      console.warn("⚠️ Falha ao migrar equipamentos para o catálogo:", err.message || err);
     }
 
-    function stripAccentsLocal(s) {
-      return String(s || "")
-        .normalize("NFD")
-        .replace(/[\u0300-\u036f]/g, "")
-        .trim();
-    }
+    // 🔥 CAMINHO DO ARQUIVO EXCEL (último upload ativo ou clientes.xlsx)
+    const filePath = await getActiveSheetPath();
+    console.log(`📁 Planilha: ${filePath}`);
+
+    const entries = readCustomersFromXlsx(filePath, SHEET_OPTIONS);
+    console.log(`📄 Clientes na planilha: ${entries.length}`);
 
-    function normalizeNameLocal(s) {
-      return stripAccentsLocal(String(s || ""))
-        .replace(/\s+/g, " ")
-        .trim()
-        .toLowerCase();
+    const lastSyncAt = modo === "completo" ? null : await getLastSyncAt();
+    if (modo !== "completo" && !lastSyncAt) {
+      console.log("ℹ️ Nenhuma sincronização concluída registrada: executando sincronização completa.");
     }
 
-    function nameCandidatesLocal(original) {
-      const raw = String(original || "").trim();
-      if (!raw) return [];
-      const cands = new Set();
-      cands.add(raw);
-      if (raw.includes(",")) {
-        const [a, b] = raw
-          .split(",")
-          .map((x) => x.trim())
-          .filter(Boolean);
-        if (a) cands.add(a);
-        if (b) cands.add(b);
+    // Linhas que precisam de match no Odoo (todas, no modo completo)
+    let toMatch = entries;
+    // Linhas inalteradas já vinculadas a um parceiro: só reprocessa se o parceiro mudou no Odoo
+    const known = new Map(); // nome -> id_odoo
+
+    if (lastSyncAt) {
+      const linhas = await getPlanilhaLinhas();
+      toMatch = [];
+
+      for (const entry of entries) {
+        const saved = linhas.get(entry.name);
+        if (saved && saved.id_odoo && saved.hash === hashEntry(entry)) {
+          known.set(entry.name, saved.id_odoo);
+        } else {
+          toMatch.push(entry);
+        }
       }
-      return [...cands];
+
+      console.log(
+        `🧮 Incremental desde ${lastSyncAt} (UTC): ${toMatch.length} linha(s) nova(s)/alterada(s), ${known.size} inalterada(s)`
+      );
     }
 
-    function findMatchingPartner(requestedName, partners) {
-      const candidates = nameCandidatesLocal(requestedName)
-        .map(normalizeNameLocal)
-        .filter(Boolean);
-      if (!candidates.length) return null;
+    // Vínculos confirmados na fila de revisão têm prioridade sobre qualquer busca
+    const aliases = await getAliases();
+    const aliasEntries = toMatch.filter((e) => aliases.has(e.name));
+    const searchEntries = toMatch.filter((e) => !aliases.has(e.name));
 
-      // exact match first
-      for (const p of partners) {
-        const pn = normalizeNameLocal(p.display_name || p.name || "");
-        if (candidates.includes(pn)) return p;
-      }
+    const aliasPartners = aliasEntries.length
+      ? await getPartnersByIds(aliasEntries.map((e) => aliases.get(e.name)))
+      : [];
+    const aliasById = new Map(aliasPartners.map((p) => [p.id, p]));
 
-      // fuzzy: contains or contained
-      const scores = [];
-      for (const p of partners) {
-        const pn = normalizeNameLocal(p.display_name || p.name || "");
-        for (const c of candidates) {
-          if (!pn || !c) continue;
-          const score = pn.includes(c) || c.includes(pn) ? 1 : 0;
-          if (score) scores.push({ p, score, len: pn.length });
-        }
-      }
+    // ✅ BUSCA os clientes no Odoo a partir dos nomes na planilha
+    const { notFound, ambiguous, matches } = searchEntries.length
+      ? await findCustomersInOdoo(searchEntries)
+      : { notFound: [], ambiguous: [], matches: new Map() };
 
-      if (scores.length) {
-        scores.sort((a, b) => b.score - a.score || b.len - a.len);
-        return scores[0].p;
-      }
+    if (notFound.length) {
+      console.warn("⚠️ Clientes não encontrados no Odoo:", notFound);
+    }
+    if (ambiguous.length) {
+      console.warn("⚠️ Clientes com match ambíguo no Odoo:", ambiguous);
+    }
+
+    // Parceiros já conhecidos alterados no Odoo desde a última sincronização
+    const changedPartners = known.size
+      ? await getPartnersByIds([...known.values()], { since: lastSyncAt })
+      : [];
+    const changedById = new Map(changedPartners.map((p) => [p.id, p]));
 
-      return null;
+    if (lastSyncAt) {
+      console.log(`✏️ Parceiros alterados no Odoo desde a última sincronização: ${changedById.size}`);
     }
 
-    // Monta lista de itens com match no Odoo
-    const itens = (requested || []).map((entry, idx) => {
-      const partner = findMatchingPartner(entry.name, customers || []);
-      return { idx, entry, partner };
+    // Pedidos novos não alteram o parceiro: com equipamentos vindos do Odoo,
+    // quem teve pedido confirmado/alterado também é reprocessado
+    if (lastSyncAt && known.size && EQUIPAMENTOS_FONTE !== "planilha") {
+      try {
+        const comPedidos = await getPartnerIdsWithOrdersSince(lastSyncAt);
+        const faltando = [...new Set(known.values())].filter((id) => comPedidos.has(id) && !changedById.has(id));
+        for (const p of faltando.length ? await getPartnersByIds(faltando) : []) changedById.set(p.id, p);
+        console.log(`🧾 Parceiros com pedidos novos/alterados: ${faltando.length}`);
+      } catch (err) {
+        console.warn("⚠️ Falha ao buscar pedidos alterados no Odoo:", err.message || err);
+      }
+    }
+
+    // Monta lista de itens com match no Odoo (mantém a ordem da planilha)
+    const matchSet = new Set(toMatch.map((e) => e.name));
+    const itens = [];
+    entries.forEach((entry, idx) => {
+      if (aliases.has(entry.name) && matchSet.has(entry.name)) {
+        const partner = aliasById.get(aliases.get(entry.name)) || null;
+        itens.push({ idx, entry, partner, match: partner ? { score: 1, metodo: "alias" } : null });
+      } else if (matchSet.has(entry.name)) {
+        const match = matches.get(entry.name) || null;
+        itens.push({ idx, entry, partner: match?.partner || null, match });
+      } else if (changedById.has(known.get(entry.name))) {
+        itens.push({ idx, entry, partner: changedById.get(known.get(entry.name)) });
+      }
     });
 
+    // Fila de revisão: registra quem ficou sem parceiro e libera quem passou a ser encontrado
+    const ambiguousSet = new Set(ambiguous);
+    await recordNotFound(
+      itens.filter((x) => !x.partner && !ambiguousSet.has(x.entry.name)).map((x) => x.entry.name)
+    );
+    await recordNotFound(ambiguous, "ambiguo");
+    await clearFound(itens.filter((x) => x.partner).map((x) => x.entry.name));
+
     // Lê cursor para retomar após último sincronizado
     const cursor = await getSyncCursor();
     let startIdx = 0;
@@ -221,76 +406,235 @@ export async function syncClientes() {
       console.log(`⏩ Retomando sincronização a partir do índice ${startIdx} (após o último processado).`);
     }
 
-    let interrupted = false;
+    setRunTotal(itens.length);
+    await updateRunProgress({ posicao: startIdx });
+
+    let interrupted = null;
+    let cancelled = false;
     for (let i = startIdx; i < itens.length; i++) {
-      const { entry, partner } = itens[i];
+      if (cancelRequested) {
+        console.log("🛑 Sincronização cancelada a pedido do usuário.");
+        cancelled = true;
+        break;
+      }
+
+      const { entry, partner, match } = itens[i];
       const reqName = entry?.name;
       if (!partner) {
         console.warn(`⚠️ Não encontrado no Odoo: ${reqName}`);
+        await updateRunProgress({ posicao: i + 1, nao_encontrados: 1 });
         continue;
       }
 
+      await updateRunProgress({ cliente_atual: reqName });
+
       try {
-        const ok = await processarCliente(partner, entry);
-        if (ok) {
+        const result = await processarCliente(partner, entry, match);
+        if (result) {
           // Atualiza cursor após sucesso
           await setSyncCursor({ last_odoo_id: partner.id, last_entry_name: reqName });
+          await savePlanilhaLinha(entry, partner.id);
         }
+        await updateRunProgress({
+          posicao: i + 1,
+          processados: 1,
+          geocodificados: result?.geocoded ? 1 : 0,
+          falhas: result ? 0 : 1,
+        });
       } catch (err) {
         const msg = String(err?.message || "");
         const code = err?.code;
         if (err?.name === "NominatimNetworkError" || msg.includes("Falha de rede no Nominatim")) {
           console.error("🛑 Parando sincronização por erro de rede do Nominatim:", code || msg);
           await setPause(code || msg);
-          interrupted = true;
+          interrupted = code || msg;
           break; // interrompe até que o sistema seja reiniciado
         }
         console.error("⚠️ Erro inesperado processando cliente:", msg);
+        await updateRunProgress({ posicao: i + 1, processados: 1, falhas: 1 });
       }
     }
 
     if (interrupted) {
       console.log("⛔ Sincronização interrompida (aguardando reinício do sistema).");
+      await finishRun("interrompida", { pause_reason: interrupted });
+    } else if (cancelled) {
+      // cursor fica onde parou: a próxima execução retoma daqui
+      await finishRun("cancelada");
     } else {
+      // concluída: próxima execução incremental parte deste momento e recomeça do início da lista
+      await setLastSyncAt(startedAt);
+      await setSyncCursor({ last_odoo_id: null, last_entry_name: null });
+      await finishRun("concluida");
       console.log("✅ Sincronização concluída!");
     }
   } catch (err) {
     console.error("❌ ERRO PRINCIPAL:", err);
+    try {
+      await finishRun("erro", { erro: String(err?.message || err) });
+    } catch {}
   }
 }
 
-async function processarCliente(c, requestedEntry = null) {
+/**
+ * Sincroniza um único parceiro do Odoo sob demanda. Usa a linha da planilha
+ * vinculada a ele (se houver) e/ou os pedidos do Odoo, conforme
+ * EQUIPAMENTOS_FONTE, para atualizar os equipamentos.
+ */
+async function syncParceiro(partnerId, gatilho) {
+  console.log(`🔄 Sincronizando parceiro Odoo id=${partnerId}`);
+
   try {
-    // --- Dados do Odoo ---
-    const logradouro = c.street || "";
-    const numero = c.l10n_br_endereco_numero || "";
-    const complemento = c.street2 || "";
-    const bairro = c.l10n_br_endereco_bairro || "";
-    const cidade = c.city || "";
+    await startRun({ gatilho, modo: "parceiro" });
+    setRunTotal(1);
+
+    const [partner] = await getPartnersByIds([partnerId]);
+    if (!partner) {
+      console.warn(`⚠️ Parceiro ${partnerId} não encontrado no Odoo`);
+      await updateRunProgress({ posicao: 1, nao_encontrados: 1 });
+      await finishRun("concluida");
+      return;
+    }
 
-    // ⚠️ No Odoo, state_id[1] geralmente vem "São Paulo" (sem "(SP)")
-    const estadoNome = c.state_id ? c.state_id[1] : "";
-    const estadoSiglaOdoo =
-      cleanUF(c.state_code) ||
-      cleanUF(c.l10n_br_state_code) ||
-      null;
+    const entry = await findPlanilhaEntry(partnerId);
+    await updateRunProgress({ cliente_atual: partner.display_name || partner.name });
 
-    const cep = c.zip || "";
-    const pais = c.country_id ? c.country_id[1] : "Brasil";
+    const result = await processarCliente(partner, entry);
+    if (result && entry) await savePlanilhaLinha(entry, partner.id);
 
-    // --- Monta query inicial (pode não ter UF ainda) ---
-    const enderecoCompleto = buildEnderecoCompleto({
+    await updateRunProgress({
+      posicao: 1,
+      processados: 1,
+      geocodificados: result?.geocoded ? 1 : 0,
+      falhas: result ? 0 : 1,
+    });
+    await finishRun("concluida");
+    console.log(`✅ Parceiro ${partnerId} sincronizado!`);
+  } catch (err) {
+    console.error(`❌ Erro sincronizando parceiro ${partnerId}:`, err);
+    try {
+      await finishRun("erro", { erro: String(err?.message || err) });
+    } catch {}
+  }
+}
+
+async function findPlanilhaEntry(partnerId) {
+  const [rows] = await db.query(`SELECT nome FROM planilha_linhas WHERE id_odoo = ? LIMIT 1`, [partnerId]);
+  const nome = rows && rows[0] && rows[0].nome;
+  if (!nome) return null;
+
+  const entries = readCustomersFromXlsx(await getActiveSheetPath(), SHEET_OPTIONS);
+  return entries.find((e) => e.name === nome) || null;
+}
+
+/**
+ * Resumo para GET /sync/status: execução em andamento (com progresso ao vivo),
+ * última execução finalizada, última sincronização concluída e pausa.
+ */
+export async function getSyncStatus() {
+  const [lastSyncAt, pausa, ultimaExecucao] = await Promise.all([
+    getLastSyncAt(),
+    getPauseState(),
+    getLastFinishedRun(),
+  ]);
+
+  return {
+    executando: isSyncRunning(),
+    emAndamento: getLiveProgress(),
+    ultimaExecucao,
+    ultimaSincronizacaoUtc: lastSyncAt,
+    pausa: pausa?.paused_since ? pausa : null,
+  };
+}
+
+/**
+ * Linha de `clientes` para o parceiro: dados e endereço do Odoo, coordenadas
+ * e UF do geocoding. Retorna { linha, geo }.
+ * Na simulação (simulacao = true) o cache de geocoding não é gravado e os
+ * provedores só são chamados com provedores = true.
+ */
+export async function montarCliente(c, match = null, { simulacao = false, provedores = !simulacao } = {}) {
+  // --- Dados do Odoo ---
+  const logradouro = c.street || "";
+  const numero = c.l10n_br_endereco_numero || "";
+  const complemento = c.street2 || "";
+  const bairro = c.l10n_br_endereco_bairro || "";
+  const cidade = c.city || "";
+
+  const estadoSiglaOdoo =
+    cleanUF(c.state_code) ||
+    cleanUF(c.l10n_br_state_code) ||
+    null;
+
+  const cep = c.zip || "";
+  const pais = c.country_id ? c.country_id[1] : "Brasil";
+
+  // --- Monta query inicial (pode não ter UF ainda) ---
+  const enderecoCompleto = buildEnderecoCompleto({
+    logradouro,
+    numero,
+    bairro,
+    cidade,
+    uf: estadoSiglaOdoo, // pode ser null
+    cep,
+    pais,
+  });
+
+  // --- Geocode (cache primeiro; provedores só se o endereço mudou) ---
+  let geo = null;
+  if (enderecoCompleto) {
+    geo = await getCachedGeocode(enderecoCompleto, normalizeCep(cep));
+
+    if (geo) {
+      if (!simulacao) console.log(`💾 Coordenadas do cache de geocoding (provedor: ${geo.provider || "-"})`);
+    } else if (provedores) {
+      geo = await geocode(enderecoCompleto, normalizeCep(cep));
+      if (geo && !simulacao) await saveGeocodeCache(enderecoCompleto, normalizeCep(cep), geo);
+    }
+  }
+
+  // ✅ AQUI é a correção principal:
+  // Se o geocode normalizou com UF (ex: "... Maceió, AL, Brasil"),
+  // usamos essa UF para salvar no banco.
+  const ufFromGeocode =
+    cleanUF(geo?.normalized?.uf) ||
+    cleanUF(geo?.normalized?.estado) ||
+    cleanUF(geo?.normalized?.state) ||
+    cleanUF(geo?.normalized?.state_code) ||
+    null;
+
+  return {
+    geo,
+    linha: {
+      id_odoo: c.id,
+      nome: c.name,
+      telefone: c.phone || "",
+      celular: c.mobile || "",
+      email: c.email || "",
+      site: c.website || "",
       logradouro,
       numero,
+      complemento,
       bairro,
       cidade,
-      uf: estadoSiglaOdoo, // pode ser null
-      cep,
+      estado: estadoSiglaOdoo || ufFromGeocode, // ✅ UF vinda do geocode quando Odoo não tiver
+      cep: normalizeCep(cep),
       pais,
-    });
+      endereco_completo: enderecoCompleto,
+      latitude: geo?.lat || null,
+      longitude: geo?.lng || null,
+      match_score: match ? Number(match.score.toFixed(3)) : null,
+      match_metodo: match?.metodo || null,
+    },
+  };
+}
 
+async function processarCliente(c, requestedEntry = null, match = null) {
+  try {
     if (requestedEntry) console.log(`🔎 Origem planilha: ${requestedEntry.name}`);
 
+    // ⚠️ No Odoo, state_id[1] geralmente vem "São Paulo" (sem "(SP)")
+    const estadoNome = c.state_id ? c.state_id[1] : "";
     console.log(
       `👤 Parceiro Odoo: [id=${c.id}] ${c.display_name || c.name || "-"} `
     );
@@ -301,24 +645,10 @@ async function processarCliente(c, requestedEntry = null) {
         estadoNome || "-"
       } | CEP=${c.zip || "-"} `
     );
-    console.log(`📝 Query construída: ${enderecoCompleto || "(nenhum endereço construído)"}`);
-
-    // --- Geocode ---
-    const geo = enderecoCompleto
-      ? await geocode(enderecoCompleto, normalizeCep(cep))
-      : null;
 
-    // ✅ AQUI é a correção principal:
-    // Se o geocode normalizou com UF (ex: "... Maceió, AL, Brasil"),
-    // usamos essa UF para salvar no banco.
-    const ufFromGeocode =
-      cleanUF(geo?.normalized?.uf) ||
-      cleanUF(geo?.normalized?.estado) ||
-      cleanUF(geo?.normalized?.state) ||
-      cleanUF(geo?.normalized?.state_code) ||
-      null;
-
-    const estadoSiglaFinal = estadoSiglaOdoo || ufFromGeocode;
+    const { linha, geo } = await montarCliente(c, match);
+    const { logradouro, cidade } = linha;
+    console.log(`📝 Query construída: ${linha.endereco_completo || "(nenhum endereço construído)"}`);
 
     // (Opcional) log pra bater o olho
     if (geo?.normalized) {
@@ -328,17 +658,18 @@ async function processarCliente(c, requestedEntry = null) {
         }, ${geo.normalized?.pais || "Brasil"}`
       );
     }
-    console.log(`🏷️ UF escolhida p/ salvar: ${estadoSiglaFinal || "(null)"}`);
+    console.log(`🏷️ UF escolhida p/ salvar: ${linha.estado || "(null)"}`);
 
     // procura por outros clientes que possam corresponder ao mesmo endereço normalizado
+    const cepMatch = normalizeCep(geo?.normalized?.cep || linha.cep);
+
     async function findMatches() {
-      const cepNorm = normalizeCep(geo?.normalized?.cep || cep);
       const conditions = [];
       const params = [];
 
-      if (cepNorm) {
+      if (cepMatch) {
         conditions.push("REPLACE(cep, '-', '') = ?");
-        params.push(cepNorm);
+        params.push(cepMatch);
       }
 
       if (cidade) {
@@ -353,17 +684,30 @@ async function processarCliente(c, requestedEntry = null) {
 
       if (conditions.length === 0) return [];
 
+      // quem bate em mais critérios vem primeiro (só a cidade não basta para ocupar o LIMIT)
       const where = conditions.join(" OR ");
+      const relevance = conditions.map((cond) => `(${cond})`).join(" + ");
       const sql = `
           SELECT id, id_odoo, nome, cep, logradouro, cidade
           FROM clientes
           WHERE (id_odoo IS NULL OR id_odoo != ?)
             AND (${where})
+          ORDER BY ${relevance} DESC
           LIMIT 10
         `;
 
-      const [rows] = await db.query(sql, [c.id, ...params]);
-      return rows;
+      const [rows] = await db.query(sql, [c.id, ...params, ...params]);
+      return rows.map((m) => ({ ...m, motivos: matchReasons(m) }));
+    }
+
+    function matchReasons(m) {
+      const motivos = [];
+      if (cepMatch && normalizeCep(m.cep) === cepMatch) motivos.push("cep");
+      if (cidade && String(m.cidade || "").toLowerCase() === cidade.toLowerCase()) motivos.push("cidade");
+      if (logradouro && String(m.logradouro || "").toLowerCase().includes(logradouro.toLowerCase())) {
+        motivos.push("logradouro");
+      }
+      return motivos;
     }
 
     const matches = await findMatches();
@@ -373,22 +717,28 @@ async function processarCliente(c, requestedEntry = null) {
         console.log(
           `  - [id=${m.id} | odoo=${m.id_odoo ?? "-"}] ${m.nome} | ${m.cep || "-"} | ${
             m.cidade || "-"
-          } | ${m.logradouro || "-"} `
+          } | ${m.logradouro || "-"} (${m.motivos.join(", ")})`
         );
       }
     } else {
       console.log("🔎 Nenhum outro cliente encontrado com esse endereço normalizado");
     }
 
+    // linha atual (antes do upsert), para o histórico de alterações
+    const [anteriores] = await db.query(`SELECT * FROM clientes WHERE id_odoo = ? LIMIT 1`, [c.id]);
+    const anterior = anteriores[0] || null;
+
     // --- Salvar cliente ---
+    // coordenadas corrigidas manualmente (localizacao_manual = 1) nunca são sobrescritas
+    // match_score só muda quando o parceiro passou pelo match nesta execução
     await db.query(
       `INSERT INTO clientes (
         id_odoo, nome, telefone, celular, email, site,
         logradouro, numero, complemento, bairro, cidade,
         estado, cep, pais, endereco_completo,
-        latitude, longitude
+        latitude, longitude, match_score, match_metodo
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
         nome=VALUES(nome),
         telefone=VALUES(telefone),
@@ -404,121 +754,104 @@ async function processarCliente(c, requestedEntry = null) {
         cep=VALUES(cep),
         pais=VALUES(pais),
         endereco_completo=VALUES(endereco_completo),
-        latitude=VALUES(latitude),
-        longitude=VALUES(longitude)
+        latitude=IF(localizacao_manual = 1, latitude, VALUES(latitude)),
+        longitude=IF(localizacao_manual = 1, longitude, VALUES(longitude)),
+        match_score=COALESCE(VALUES(match_score), match_score),
+        match_metodo=COALESCE(VALUES(match_metodo), match_metodo)
       `,
       [
-        c.id,
-        c.name,
-        c.phone || "",
-        c.mobile || "",
-        c.email || "",
-        c.website || "",
-        logradouro,
-        numero,
-        complemento,
-        bairro,
-        cidade,
-        estadoSiglaFinal, // ✅ agora salva UF vindo do geocode quando Odoo não tiver
-        normalizeCep(cep),
-        pais,
-        enderecoCompleto,
-        geo?.lat || null,
-        geo?.lng || null,
+        linha.id_odoo,
+        linha.nome,
+        linha.telefone,
+        linha.celular,
+        linha.email,
+        linha.site,
+        linha.logradouro,
+        linha.numero,
+        linha.complemento,
+        linha.bairro,
+        linha.cidade,
+        linha.estado,
+        linha.cep,
+        linha.pais,
+        linha.endereco_completo,
+        linha.latitude,
+        linha.longitude,
+        linha.match_score,
+        linha.match_metodo,
       ]
     );
 
-    // --- Persistir equipamentos (se houver dados na planilha) ---
-    const equipmentRaw = String(requestedEntry?.equipment || "").trim();
-    if (equipmentRaw) {
-      // ensure table exists (table name: equipamentos)
-      await db.query(`
-        CREATE TABLE IF NOT EXISTS equipamentos (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          cliente_id INT NOT NULL,
-          nome VARCHAR(255) NOT NULL,
-          quantidade INT DEFAULT NULL,
-          UNIQUE KEY cliente_equip (cliente_id, nome)
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-      `);
-
-      // get local cliente id (by id_odoo)
-      const [sel] = await db.query(`SELECT id FROM clientes WHERE id_odoo = ? LIMIT 1`, [c.id]);
-      const clienteId = sel && sel[0] && sel[0].id;
+    const [sel] = await db.query(`SELECT id FROM clientes WHERE id_odoo = ? LIMIT 1`, [c.id]);
+    const clienteId = sel && sel[0] && sel[0].id;
+    const syncRunId = getCurrentRunId();
+
+    // --- Histórico (o que este upsert mudou) ---
+    if (clienteId) {
+      const manual = anterior && Number(anterior.localizacao_manual) === 1;
+      await registrarHistorico(
+        clienteId,
+        anterior
+          ? diffCliente(anterior, manual ? { ...linha, latitude: anterior.latitude, longitude: anterior.longitude } : linha)
+          : [{ campo: "criado", antigo: null, novo: linha.nome }],
+        { syncRunId }
+      );
+    }
+
+    // --- Persistir possíveis duplicatas ---
+    // só a mesma cidade não caracteriza duplicata: exige CEP ou logradouro em comum
+    if (clienteId) {
+      await recordDuplicates(
+        clienteId,
+        (matches || []).filter((m) => m.motivos.includes("cep") || m.motivos.includes("logradouro"))
+      );
+    }
 
+    // --- Persistir equipamentos (planilha e/ou pedidos do Odoo) ---
+    const equipamentos = await carregarEquipamentos(c.id, requestedEntry);
+    if (equipamentos) {
       if (clienteId) {
+        const [antes] = await db.query(`SELECT nome, quantidade FROM equipamentos WHERE cliente_id = ?`, [clienteId]);
+
         // clear existing equips for this cliente
         await db.query(`DELETE FROM equipamentos WHERE cliente_id = ?`, [clienteId]);
 
-        // parse equipment string: split by comma/semicolon/pipe/newline
-        const parts = equipmentRaw.split(/[;,\n|]+/).map((p) => p.trim()).filter(Boolean);
-
-        function sanitizeEquipmentName(raw) {
-          let s = String(raw || "").trim();
-          // normalizar traços tipográficos
-          s = s.replace(/[–—]/g, "-");
-
-          // remover prefixos como "S/2025/63699 - "
-          s = s.replace(/^[A-Za-z]\/[0-9]{4}\/[0-9]+\s*[-–—]\s*/i, "");
-
-          // remover prefixos numéricos como "164669- "
-          s = s.replace(/^\d+\s*[-–—]\s*/, "");
-
-          // se houver bloco em colchetes, manter apenas o que vem DEPOIS dele
-          const br = s.match(/\[[^\]]+\]\s*(.+)$/);
-          if (br) s = br[1];
-
-          // remover separadores/pontuação iniciais remanescentes
-          s = s.replace(/^[\s\-–—:]+/, "");
-
-          // colapsar espaços
-          s = s.replace(/\s+/g, " ").trim();
-          return s;
-        }
-
-        function parsePart(p) {
-          // Captura quantidade no fim em formatos comuns: ' — 2', '- 2', 'x2', '(2)', '×2'
-          const m = p.match(/^(.*?)(?:[\s\-–—x×\(*]*([0-9]+)\)?)?\s*$/i);
-          let name = m ? String(m[1] || "").trim() : String(p || "").trim();
-          const qty = m && m[2] ? parseInt(m[2], 10) || null : null;
-
-          // higienização pedida: manter apenas o que vier após o bloco em colchetes [CÓDIGO]
-          name = sanitizeEquipmentName(name);
-          return { name, qty };
-        }
-
-        // Agregar por nome para evitar duplicados pós-higienização
-        function combineQty(a, b) {
-          if (a == null && b == null) return null;
-          if (a == null) return b;
-          if (b == null) return a;
-          return a + b;
-        }
-
-        const aggregated = new Map(); // nome -> quantidade agregada
-        for (const part of parts) {
-          const { name, qty } = parsePart(part);
-          if (!name) continue;
-          const prev = aggregated.get(name);
-          aggregated.set(name, prev === undefined ? qty : combineQty(prev, qty));
-        }
-
-        for (const [name, qty] of aggregated.entries()) {
+        for (const { nome, quantidade, catalogo_id, nome_original, origem, pedido_ref, pedido_data, pedidos } of equipamentos) {
           try {
             await db.query(
-              `INSERT INTO equipamentos (cliente_id, nome, quantidade) VALUES (?, ?, ?)`,
-              [clienteId, name, qty]
+              `INSERT INTO equipamentos
+                 (cliente_id, nome, quantidade, catalogo_id, nome_original, origem, pedido_ref, pedido_data, pedidos)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [
+                clienteId,
+                nome,
+                quantidade,
+                catalogo_id,
+                nome_original,
+                origem,
+                pedido_ref,
+                pedido_data,
+                pedidos ? JSON.stringify(pedidos) : null,
+              ]
             );
           } catch (e) {
             // ignore duplicate/key errors (deve ser raro após agregação)
           }
         }
-        console.log(`🧰 Equipamentos gravados para cliente_id=${clienteId}: ${parts.length}`);
+        console.log(`🧰 Equipamentos gravados para cliente_id=${clienteId}: ${equipamentos.length} (${EQUIPAMENTOS_FONTE})`);
+
+        const textoAntes = equipamentosTexto(antes);
+        const textoDepois = equipamentosTexto(equipamentos);
+        if (textoAntes !== textoDepois) {
+          await registrarHistorico(clienteId, [{ campo: "equipamentos", antigo: textoAntes, novo: textoDepois }], {
+            syncRunId,
+          });
+        }
       } else {
         console.log("⚠️ Não encontrou cliente local para associar equipamentos (id_odoo=", c.id, ")");
       }
     }
-    return true;
+    return { geocoded: geo?.lat != null && geo?.lng != null };
   } catch (err) {
     const msg = String(err?.message || "");
     if (err?.name === "NominatimNetworkError" || msg.includes("Falha de rede no Nominatim")) {
@@ -529,3 +862,59 @@ async function processarCliente(c, requestedEntry = null) {
     return false;
   }
 }
+
+/**
+ * Equipamentos do parceiro já resolvidos no catálogo, cada um com a origem
+ * ("planilha" | "odoo"). Retorna null quando não há o que gravar: planilha
+ * sem a coluna preenchida ou falha ao ler os pedidos (mantém o que já existe).
+ * gravar = false não mexe no catálogo (ver resolveEquipamentos).
+ */
+export async function carregarEquipamentos(partnerId, requestedEntry, { gravar = true } = {}) {
+  let planilha = null;
+  if (EQUIPAMENTOS_FONTE !== "odoo") {
+    const raw = String(requestedEntry?.equipment || "").trim();
+    if (raw) {
+      // nomes do catálogo (grafias diferentes do mesmo produto viram um item só)
+      planilha = (await resolveEquipamentos(parseEquipmentList(raw), { gravar })).map((e) => ({ ...e, origem: "planilha" }));
+    }
+  }
+  if (EQUIPAMENTOS_FONTE === "planilha") return planilha;
+
+  let odoo;
+  try {
+    const linhas = parseOrderLines(await getSaleOrderLines(partnerId));
+    odoo = (await resolveEquipamentos(linhas, { gravar })).map((e) => ({ ...e, origem: "odoo" }));
+  } catch (err) {
+    console.warn(`⚠️ Falha ao ler pedidos do parceiro ${partnerId} no Odoo:`, err.message || err);
+    return null;
+  }
+  if (EQUIPAMENTOS_FONTE === "odoo" || !planilha) return odoo;
+
+  const doOdoo = new Set(odoo.map((e) => e.nome));
+  return [...odoo, ...planilha.filter((e) => !doOdoo.has(e.nome))];
+}
+
+/** =======================
+ * Execução direta: node src/sync.js [--completo]
+ * ======================= */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const modo = process.argv.includes("--completo") ? "completo" : "incremental";
+
+  runMigrations()
+    .then(
+      () =>
+        syncClientes({ modo, gatilho: "cli" })
+          .then((rodou) => {
+            if (!rodou) process.exitCode = 1;
+          })
+          .catch((err) => {
+            console.error("❌ Erro na sincronização:", err.message || err);
+            process.exitCode = 1;
+          }),
+      (err) => {
+        console.error("❌ Não foi possível aplicar as migrations:", err.message || err);
+        process.exitCode = 1;
+      }
+    )
+    .finally(() => db.end());
+}
@@ -0,0 +1,60 @@
+import db from "./db.js";
+
+/** =======================
+ * Trava da sincronização
+ * -----------------------
+ * Duas camadas:
+ * - flag em memória: impede duas execuções no mesmo processo
+ *   (ex.: o setInterval disparando enquanto a anterior ainda roda);
+ * - GET_LOCK do MySQL: impede execuções simultâneas entre processos
+ *   (ex.: `npm run sync` rodando junto com o servidor). O lock fica preso a
+ *   uma conexão dedicada e é liberado pelo MySQL se o processo morrer.
+ * ======================= */
+const LOCK_NAME = "mapa_clientes_sync";
+
+let locked = false;
+
+export function isSyncRunning() {
+  return locked;
+}
+
+/**
+ * Tenta pegar a trava sem esperar. Retorna { release } ou null se outra
+ * execução (neste ou em outro processo) já estiver rodando.
+ */
+export async function acquireSyncLock() {
+  if (locked) return null;
+  locked = true; // marca antes do primeiro await para evitar corrida no mesmo processo
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    const [rows] = await conn.query(`SELECT GET_LOCK(?, 0) AS ok`, [LOCK_NAME]);
+
+    if (!rows || !rows[0] || rows[0].ok !== 1) {
+      conn.release();
+      locked = false;
+      return null;
+    }
+  } catch (err) {
+    if (conn) conn.release();
+    locked = false;
+    throw err;
+  }
+
+  let released = false;
+  return {
+    async release() {
+      if (released) return;
+      released = true;
+      try {
+        await conn.query(`SELECT RELEASE_LOCK(?)`, [LOCK_NAME]);
+      } catch (err) {
+        console.warn("⚠️ Falha ao liberar trava da sincronização:", err.message || err);
+      } finally {
+        conn.release();
+        locked = false;
+      }
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import db from "./db.js";
+
+/** =======================
+ * Histórico de execuções da sincronização
+ * -----------------------
+ * Cada execução vira uma linha em sync_runs. O progresso ao vivo fica em
+ * memória (currentRun) e é gravado no banco a cada FLUSH_EVERY clientes,
+ * para que /sync/status mostre o andamento mesmo numa execução longa.
+ *
+ * status: em_andamento → concluida | interrompida | cancelada | erro
+ * ======================= */
+const FLUSH_EVERY = 10;
+
+let currentRun = null;
+let staleRunsClosed = false;
+
+function snapshot(run) {
+  return {
+    total: run.total,
+    posicao: run.posicao,
+    processados: run.processados,
+    geocodificados: run.geocodificados,
+    falhas: run.falhas,
+    nao_encontrados: run.nao_encontrados,
+  };
+}
+
+async function flush(run) {
+  const s = snapshot(run);
+  await db.query(
+    `UPDATE sync_runs
+     SET total = ?, posicao = ?, processados = ?, geocodificados = ?, falhas = ?, nao_encontrados = ?
+     WHERE id = ?`,
+    [s.total, s.posicao, s.processados, s.geocodificados, s.falhas, s.nao_encontrados, run.id]
+  );
+}
+
+export async function startRun({ gatilho = "agendado", modo = "incremental" } = {}) {
+  // execuções "em andamento" herdadas de um processo anterior morreram com ele
+  if (!staleRunsClosed) {
+    await db.query(
+      `UPDATE sync_runs SET status = 'interrompida', finished_at = NOW(), erro = 'Processo reiniciado durante a execução'
+       WHERE status = 'em_andamento'`
+    );
+    staleRunsClosed = true;
+  }
+
+  const [res] = await db.query(
+    `INSERT INTO sync_runs (gatilho, modo, status, started_at) VALUES (?, ?, 'em_andamento', NOW())`,
+    [gatilho, modo]
+  );
+
+  currentRun = {
+    id: res.insertId,
+    gatilho,
+    modo,
+    started_at: new Date(),
+    total: 0,
+    posicao: 0,
+    processados: 0,
+    geocodificados: 0,
+    falhas: 0,
+    nao_encontrados: 0,
+    cliente_atual: null,
+    lastFlush: 0,
+  };
+
+  return currentRun.id;
+}
+
+// id da execução em andamento neste processo (ou null)
+export function getCurrentRunId() {
+  return currentRun ? currentRun.id : null;
+}
+
+export function setRunTotal(total) {
+  if (currentRun) currentRun.total = total;
+}
+
+/**
+ * Atualiza o progresso em memória.
+ * `delta` soma contadores ({ processados: 1, geocodificados: 1, ... });
+ * `posicao` e `cliente_atual` substituem o valor atual.
+ */
+export async function updateRunProgress({ posicao, cliente_atual, ...delta } = {}) {
+  const run = currentRun;
+  if (!run) return;
+
+  if (posicao !== undefined) run.posicao = posicao;
+  if (cliente_atual !== undefined) run.cliente_atual = cliente_atual;
+  for (const [key, value] of Object.entries(delta)) {
+    if (typeof run[key] === "number") run[key] += value;
+  }
+
+  if (run.posicao - run.lastFlush >= FLUSH_EVERY) {
+    run.lastFlush = run.posicao;
+    try {
+      await flush(run);
+    } catch (err) {
+      console.warn("⚠️ Não foi possível gravar o progresso da sincronização:", err.message || err);
+    }
+  }
+}
+
+export async function finishRun(status, { pause_reason = null, erro = null } = {}) {
+  const run = currentRun;
+  if (!run) return;
+  currentRun = null;
+
+  const s = snapshot(run);
+  await db.query(
+    `UPDATE sync_runs
+     SET status = ?, finished_at = NOW(), total = ?, posicao = ?, processados = ?, geocodificados = ?,
+         falhas = ?, nao_encontrados = ?, pause_reason = ?, erro = ?
+     WHERE id = ?`,
+    [
+      status,
+      s.total,
+      s.posicao,
+      s.processados,
+      s.geocodificados,
+      s.falhas,
+      s.nao_encontrados,
+      pause_reason ? String(pause_reason).slice(0, 255) : null,
+      erro,
+      run.id,
+    ]
+  );
+}
+
+/**
+ * Progresso ao vivo da execução em andamento neste processo (ou null).
+ */
+export function getLiveProgress() {
+  if (!currentRun) return null;
+  const { lastFlush, ...run } = currentRun;
+  return {
+    ...run,
+    percentual: run.total ? Math.round((run.posicao / run.total) * 100) : 0,
+  };
+}
+
+export async function getRun(id) {
+  const [rows] = await db.query(`SELECT * FROM sync_runs WHERE id = ? LIMIT 1`, [id]);
+  const row = rows && rows[0];
+  if (!row) return null;
+
+  const live = getLiveProgress();
+  return live && live.id === row.id ? { ...row, ...live, status: row.status } : row;
+}
+
+export async function listRuns(limit = 20) {
+  const [rows] = await db.query(`SELECT * FROM sync_runs ORDER BY id DESC LIMIT ?`, [limit]);
+  return rows;
+}
+
+export async function getLastFinishedRun() {
+  const [rows] = await db.query(
+    `SELECT * FROM sync_runs WHERE status != 'em_andamento' ORDER BY id DESC LIMIT 1`
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
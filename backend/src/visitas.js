@@ -0,0 +1,140 @@
+import db from "./db.js";
+
+/** =======================
+ * Visitas e anotações por cliente
+ * -----------------------
+ * Cada registro tem data, autor, tipo e nota livre. O check-in (coordenadas
+ * de quem registrou) é opcional; quando vem, guardamos a distância até o
+ * pin do cliente para mostrar visitas feitas longe do local.
+ * ======================= */
+export const TIPOS_VISITA = ["visita", "instalacao", "manutencao", "treinamento", "nota"];
+
+// check-in a mais que isso do pin é sinalizado como "longe do cliente"
+export const CHECKIN_RAIO_M = 500;
+
+const MAX_NOTA = 5000;
+
+function visitaError(message) {
+  const err = new Error(message);
+  err.name = "VisitaError";
+  return err;
+}
+
+function distanciaMetros(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.asin(Math.sqrt(a));
+}
+
+function toVisita(row) {
+  const checkin = row.checkin_lat !== null && row.checkin_lng !== null
+    ? {
+        latitude: Number(row.checkin_lat),
+        longitude: Number(row.checkin_lng),
+        distancia_m: row.checkin_distancia_m,
+        longe: row.checkin_distancia_m !== null && row.checkin_distancia_m > CHECKIN_RAIO_M,
+      }
+    : null;
+
+  return {
+    id: row.id,
+    cliente_id: row.cliente_id,
+    data: row.data,
+    tipo: row.tipo,
+    nota: row.nota,
+    autor: row.autor_nome,
+    autor_id: row.autor_id,
+    checkin,
+  };
+}
+
+export async function listVisitas(clienteId) {
+  const [rows] = await db.query(
+    `SELECT * FROM visitas WHERE cliente_id = ? ORDER BY data DESC, id DESC`,
+    [clienteId]
+  );
+  return rows.map(toVisita);
+}
+
+/**
+ * Registra uma visita. `dados` = { data?, tipo?, nota?, latitude?, longitude? };
+ * sem data, vale o momento atual. Retorna a visita ou null se o cliente não
+ * existir; lança VisitaError para dados inválidos.
+ */
+export async function addVisita(clienteId, dados = {}, usuario = null) {
+  const tipo = dados.tipo || "visita";
+  if (!TIPOS_VISITA.includes(tipo)) {
+    throw visitaError(`Tipo inválido (use: ${TIPOS_VISITA.join(", ")})`);
+  }
+
+  const nota = String(dados.nota || "").trim();
+  if (nota.length > MAX_NOTA) throw visitaError(`Nota muito longa (máx. ${MAX_NOTA} caracteres)`);
+  if (tipo === "nota" && !nota) throw visitaError("Escreva a nota");
+
+  const data = dados.data ? new Date(dados.data) : new Date();
+  if (isNaN(data)) throw visitaError("Data inválida");
+  if (data.getTime() > Date.now() + 24 * 60 * 60 * 1000) throw visitaError("Data no futuro");
+
+  let lat = null;
+  let lng = null;
+  if (dados.latitude !== undefined && dados.latitude !== null && dados.latitude !== "") {
+    lat = Number(dados.latitude);
+    lng = Number(dados.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw visitaError("Coordenadas do check-in inválidas");
+    }
+  }
+
+  const [clientes] = await db.query(`SELECT id, latitude, longitude FROM clientes WHERE id = ?`, [clienteId]);
+  const cliente = clientes[0];
+  if (!cliente) return null;
+
+  const distancia = lat !== null && cliente.latitude !== null && cliente.longitude !== null
+    ? Math.round(distanciaMetros(lat, lng, Number(cliente.latitude), Number(cliente.longitude)))
+    : null;
+
+  const [res] = await db.query(
+    `INSERT INTO visitas (cliente_id, data, tipo, nota, autor_id, autor_nome, checkin_lat, checkin_lng, checkin_distancia_m)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      clienteId,
+      data,
+      tipo,
+      nota || null,
+      usuario?.id ?? null,
+      usuario ? usuario.nome || usuario.email : null,
+      lat,
+      lng,
+      distancia,
+    ]
+  );
+
+  const [rows] = await db.query(`SELECT * FROM visitas WHERE id = ?`, [res.insertId]);
+  return toVisita(rows[0]);
+}
+
+/**
+ * Anexa { ultima_visita } (data da visita mais recente, ou null) a cada cliente.
+ * Notas não contam como visita.
+ */
+export async function attachUltimaVisita(rows) {
+  if (!rows.length) return rows;
+
+  try {
+    const [visitas] = await db.query(
+      `SELECT cliente_id, MAX(data) AS ultima
+       FROM visitas
+       WHERE cliente_id IN (?) AND tipo <> 'nota'
+       GROUP BY cliente_id`,
+      [rows.map((r) => r.id)]
+    );
+
+    const ultima = new Map(visitas.map((v) => [v.cliente_id, v.ultima]));
+    return rows.map((r) => ({ ...r, ultima_visita: ultima.get(r.id) || null }));
+  } catch (err) {
+    console.warn("Erro ao buscar visitas:", err.message || err);
+    return rows.map((r) => ({ ...r, ultima_visita: null }));
+  }
+}